@@ -0,0 +1,294 @@
+#!/usr/bin/env node
+// -*- Mode: JavaScript; tab-width: 4; indent-tabs-mode: nil; -*-
+// vim:set ft=javascript ts=4 sw=4 sts=4 cindent:
+
+/*
+Command-line interface to the CoNLL-U format library (see conllu.js).
+Run "conllu --help" for usage.
+*/
+
+'use strict';
+
+var fs = require('fs');
+var ConllU = require('../conllu.js');
+
+var usage = [
+    'Usage: conllu COMMAND [OPTIONS] [FILE...]',
+    '',
+    'Read CoNLL-U (or CoNLL-U Plus) from FILEs, or standard input if none',
+    'or "-" is given.',
+    '',
+    'Commands:',
+    '  validate           report issues, exit with status 1 on errors',
+    '  repair             write repaired document, exit with status 1',
+    '                     if errors remain',
+    '  stats              write corpus statistics as JSON',
+    '  convert --to FMT   write document as brat, json or conllu',
+    '',
+    'Options:',
+    '  --level N          validation level (1-5)',
+    '  --language CODE    language for label and feature inventories',
+    '  --verbose          log parsing and repair messages to stderr',
+    '  --help             show this message'
+].join('\n');
+
+var formats = ['brat', 'json', 'conllu'];
+
+// standard CoNLL-U columns, for documents without global.columns
+var conllUColumns = ['ID', 'FORM', 'LEMMA', 'UPOS', 'XPOS', 'FEATS',
+                     'HEAD', 'DEPREL', 'DEPS', 'MISC'];
+
+// Return object with the command, options and file names given in
+// the arguments, or null if not valid (reported to stderr).
+var parseArguments = function(args) {
+    var parsed = { command: null, options: {}, files: [] };
+    var valueOptions = { '--level': 'level', '--language': 'language',
+                         '--to': 'to' };
+
+    for (var i=0; i<args.length; i++) {
+        var arg = args[i];
+        if (arg === '--help' || arg === '-h') {
+            parsed.command = 'help';
+            return parsed;
+        } else if (arg === '--verbose') {
+            parsed.options.verbose = true;
+        } else if (valueOptions.hasOwnProperty(arg)) {
+            if (i+1 === args.length) {
+                return usageError('missing value for '+arg);
+            }
+            parsed.options[valueOptions[arg]] = args[++i];
+        } else if (arg.length > 1 && arg.charAt(0) === '-') {
+            return usageError('unknown option '+arg);
+        } else if (parsed.command === null) {
+            parsed.command = arg;
+        } else {
+            parsed.files.push(arg);
+        }
+    }
+
+    var level = parsed.options.level;
+    if (level !== undefined) {
+        if (!/^[1-5]$/.test(level)) {
+            return usageError('invalid level '+level);
+        }
+        parsed.options.level = parseInt(level, 10);
+    }
+    if (parsed.command === 'convert' &&
+        formats.indexOf(parsed.options.to) === -1) {
+        return usageError('convert requires --to '+formats.join('|'));
+    }
+    if (parsed.files.length === 0) {
+        parsed.files.push('-');
+    }
+
+    return parsed;
+};
+
+var usageError = function(message) {
+    process.stderr.write('conllu: '+message+'\n\n'+usage+'\n');
+    return null;
+};
+
+// Return the validation options (see Element.validate()) given on
+// the command line.
+var validationOptions = function(options) {
+    var validation = {};
+
+    if (options.level !== undefined) {
+        validation.level = options.level;
+    }
+    if (options.language !== undefined) {
+        validation.language = options.language;
+    }
+
+    return validation;
+};
+
+// Read and parse the named file ("-" for standard input), returning
+// the Document. Read errors are thrown with the file name as "file".
+var load = function(file, options) {
+    var input;
+    try {
+        input = fs.readFileSync(file === '-' ? 0 : file, 'utf8');
+    } catch (e) {
+        e.file = file;
+        throw e;
+    }
+
+    var logger = function(message) {
+        if (options.verbose) {
+            process.stderr.write(file+': '+message+'\n');
+        }
+    };
+
+    return new ConllU.Document().parse(input, logger, undefined,
+                                       validationOptions(options));
+};
+
+// Return Issues found in parsing and validating the given document,
+// omitting repeats of issues found in parsing.
+var documentIssues = function(document) {
+    var issues = document.issues.slice(),
+        seen = {};
+    var key = function(issue) {
+        return [issue.code, issue.sentenceId, issue.elementId,
+                issue.message].join('\t');
+    };
+
+    for (var i=0; i<issues.length; i++) {
+        seen[key(issues[i])] = true;
+    }
+    var found = document.validate();
+    for (var i=0; i<found.length; i++) {
+        if (!seen[key(found[i])]) {
+            seen[key(found[i])] = true;
+            issues.push(found[i]);
+        }
+    }
+
+    return issues;
+};
+
+// Return the given Issue formatted for output, e.g.
+// "file.conllu:12: error [invalid-head] invalid HEAD", or for issues
+// without a line, "file.conllu: sentence s1, element 3: error ...".
+var formatIssue = function(file, issue) {
+    var location = (file === '-' ? '<stdin>' : file);
+
+    if (issue.line !== null) {
+        location += ':'+issue.line;
+    } else if (issue.sentenceId !== null) {
+        location += (': sentence '+issue.sentenceId +
+                     (issue.elementId !== null ?
+                      ', element '+issue.elementId : ''));
+    }
+
+    return (location+': '+issue.severity+' ['+issue.code+'] '+
+            issue.message);
+};
+
+// Return representation of the given Document as a JSON-serializable
+// object: sentences with their comments and elements, each element
+// mapping column names to values.
+var documentJson = function(document) {
+    var columns = (document.columns !== null ?
+                   document.columns : conllUColumns);
+
+    return {
+        columns: columns,
+        sentences: document.sentences.map(function(sentence) {
+            return {
+                id: sentence.id,
+                comments: sentence.comments,
+                elements: sentence.elements.map(function(element) {
+                    var values = {};
+                    for (var i=0; i<columns.length; i++) {
+                        values[columns[i]] = element.getColumn(columns[i]);
+                    }
+                    return values;
+                })
+            };
+        })
+    };
+};
+
+var commands = {
+    validate: function(files, options) {
+        var errors = false;
+
+        for (var i=0; i<files.length; i++) {
+            var issues = documentIssues(load(files[i], options));
+            for (var j=0; j<issues.length; j++) {
+                process.stdout.write(formatIssue(files[i], issues[j])+'\n');
+                errors = errors || issues[j].isError();
+            }
+        }
+
+        return errors ? 1 : 0;
+    },
+
+    repair: function(files, options) {
+        var document = load(files[0], options),
+            log = function(message) {
+                if (options.verbose) {
+                    process.stderr.write(files[0]+': '+message+'\n');
+                }
+            };
+        var repaired = document.repair(log);
+
+        if (!repaired) {
+            var issues = document.validate();
+            for (var i=0; i<issues.length; i++) {
+                if (issues[i].isError()) {
+                    process.stderr.write(formatIssue(files[0], issues[i])+
+                                         '\n');
+                }
+            }
+        }
+        process.stdout.write(document.toConllU());
+
+        return repaired ? 0 : 1;
+    },
+
+    stats: function(files, options) {
+        var stats = new ConllU.Statistics();
+
+        for (var i=0; i<files.length; i++) {
+            stats.addDocument(load(files[i], options));
+        }
+        process.stdout.write(JSON.stringify(stats.result(), null, 2)+'\n');
+
+        return 0;
+    },
+
+    convert: function(files, options) {
+        var document = load(files[0], options),
+            output;
+
+        if (options.to === 'brat') {
+            output = JSON.stringify(document.toBrat(), null, 2)+'\n';
+        } else if (options.to === 'json') {
+            output = JSON.stringify(documentJson(document), null, 2)+'\n';
+        } else {
+            output = document.toConllU();
+        }
+        process.stdout.write(output);
+
+        return 0;
+    }
+};
+
+var main = function(args) {
+    var parsed = parseArguments(args);
+
+    if (parsed === null) {
+        return 2;
+    }
+    if (parsed.command === null || parsed.command === 'help') {
+        process.stdout.write(usage+'\n');
+        return parsed.command === null ? 2 : 0;
+    }
+    if (!commands.hasOwnProperty(parsed.command)) {
+        usageError('unknown command '+parsed.command);
+        return 2;
+    }
+    if ((parsed.command === 'repair' || parsed.command === 'convert') &&
+        parsed.files.length > 1) {
+        usageError(parsed.command+' takes a single input');
+        return 2;
+    }
+
+    try {
+        return commands[parsed.command](parsed.files, parsed.options);
+    } catch (e) {
+        if (e.file !== undefined) {
+            process.stderr.write('conllu: cannot read '+
+                                 (e.file === '-' ? '<stdin>' : e.file)+
+                                 ': '+e.message+'\n');
+            return 2;
+        }
+        throw e;
+    }
+};
+
+process.exitCode = main(process.argv.slice(2));
@@ -10,7 +10,18 @@ Author: Sampo Pyysalo
 License: MIT (http://opensource.org/licenses/MIT)
 */
 
-var ConllU = (function(window, undefined) {
+// Loadable as a CommonJS module (Node.js), as an ES module through
+// conllu.mjs, and in browsers, where it defines the global ConllU.
+// The global object is looked up directly, as "this" is undefined in
+// strict mode and module scripts.
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ConllU = factory();
+    }
+})(typeof globalThis !== 'undefined' ? globalThis :
+   typeof self !== 'undefined' ? self : this, function(undefined) {
 
     /*
      * ConllU.Document: represents CoNLL-U document
@@ -22,18 +33,118 @@ var ConllU = (function(window, undefined) {
 
     Document.prototype.reset = function() {
         this.sentences = [];
+        this.issues = [];
         this.error = false;
+        this.columns = null; // CoNLL-U Plus columns, null for CoNLL-U
         this.logger = function(s) { /* no-op */ };
         this.strict = null; // pick heuristically
+        this.validation = {}; // default validation (see Element.validate())
+    };
+
+    // Check validity of the document: its elements, its sentences and
+    // the registered document validators (see registerValidator()).
+    // Return list of Issues found in validation (empty list if none).
+    // Options are as for Element.validate(), defaulting to those
+    // given to parse().
+    Document.prototype.validate = function(options) {
+        options = (options !== undefined ? options : this.validation);
+
+        var issues = [];
+
+        for (var i=0; i<this.sentences.length; i++) {
+            var sentence = this.sentences[i],
+                sentenceIssues = [];
+            for (var j=0; j<sentence.elements.length; j++) {
+                sentenceIssues = sentenceIssues.concat(
+                    sentence.elements[j].validate(options));
+            }
+            sentenceIssues = sentenceIssues.concat(sentence.validate(options));
+            for (var j=0; j<sentenceIssues.length; j++) {
+                sentenceIssues[j].sentenceId = sentence.id;
+            }
+            issues = issues.concat(sentenceIssues);
+        }
+        runValidators('document', this, issues, options);
+
+        return issues;
+    };
+
+    // Attempt to repair a non-valid document (see validate()). Return
+    // true iff the document has no errors following repair, false
+    // otherwise.
+    Document.prototype.repair = function(log, options) {
+        log = (log !== undefined ? log : this.logger);
+        options = (options !== undefined ? options : this.validation);
+
+        for (var i=0; i<this.sentences.length; i++) {
+            var sentence = this.sentences[i];
+            for (var j=0; j<sentence.elements.length; j++) {
+                var element = sentence.elements[j];
+                if (hasErrors(element.validate(options))) {
+                    element.repair(log, options);
+                }
+            }
+            if (hasErrors(sentence.validate(options))) {
+                sentence.repair(log, options);
+            }
+        }
+        runRepairs('document', this, log, options);
+
+        return !hasErrors(this.validate(options));
+    };
+
+    // Normalize characters in FORM and LEMMA of all elements (see
+    // Element.normalize()). Return the number of elements changed.
+    Document.prototype.normalize = function() {
+        var count = 0;
+
+        for (var i=0; i<this.sentences.length; i++) {
+            var elements = this.sentences[i].elements;
+            for (var j=0; j<elements.length; j++) {
+                if (elements[j].normalize()) {
+                    count++;
+                }
+            }
+        }
+
+        return count;
+    };
+
+    // Derive DEPS from HEAD and DEPREL in each sentence (see
+    // Sentence.deriveDeps()). Return the number of words whose DEPS
+    // were set.
+    Document.prototype.deriveDeps = function(overwrite) {
+        var count = 0;
+
+        for (var i=0; i<this.sentences.length; i++) {
+            count += this.sentences[i].deriveDeps(overwrite);
+        }
+
+        return count;
+    };
+
+    // Return the sentence with the given ID, or null if none.
+    Document.prototype.sentenceById = function(sentenceId) {
+        for (var i=0; i<this.sentences.length; i++) {
+            if (this.sentences[i].id === sentenceId) {
+                return this.sentences[i];
+            }
+        }
+        return null;
     };
 
     Document.prototype.log = function(message) {
         this.logger(message);
     };
 
-    Document.prototype.logError = function(message) {
-        this.log('error: ' + message);
-        this.error = true;
+    // Record the given Issue, log it, and flag the document as
+    // erroneous if the issue is an error.
+    Document.prototype.addIssue = function(issue) {
+        this.issues.push(issue);
+        this.log(issue.severity + ': ' + issue.toString());
+        if (issue.isError()) {
+            this.error = true;
+        }
     };
 
     /* Parse CoNLL-U format, return Document.
@@ -63,8 +174,11 @@ var ConllU = (function(window, undefined) {
      *     of one.
      * 9.  DEPS: List of secondary dependencies (head-deprel pairs).
      * 10. MISC: Any other annotation.
+     *
+     * Validation options (language, level) are as for
+     * Element.validate().
      */
-    Document.prototype.parse = function(input, logger, strict) {
+    Document.prototype.parse = function(input, logger, strict, validation) {
         // discard previous state, if any
         this.reset();
 
@@ -74,106 +188,124 @@ var ConllU = (function(window, undefined) {
         if (strict !== undefined) {
             this.strict = strict;
         }
-        
-        // TODO: handle other newline formats
-        var lines = input.split('\n');
+        if (validation !== undefined) {
+            this.validation = validation;
+        }
 
         if (this.strict === null) {
             this.strict = selectParsingMode(input, this.logger);
         }
 
-        // select splitter to use for dividing the lines into fields.
-        var splitter = selectFieldSplitter(input, this.logger, this.strict);
-
-        var elements = [],            
-            comments = [],
-            beforeSentence = true;
-        for (var idx=0; idx<lines.length; idx++) {
-            var line = lines[idx], that = this;
-
-            var logLineError = function(message) {
-                that.logError('line '+(idx+1)+': '+message+' ("'+line+'")');
-                that.error = true;
+        var that = this;
+        var parser = new Parser({
+            logger: this.logger,
+            strict: this.strict,
+            language: this.validation.language,
+            level: this.validation.level,
+            onSentence: function(sentence) {
+                that.sentences.push(sentence);
             }
+        });
+        parser.write(input);
+        parser.end();
 
-            if (isComment(line)) {
-                if (beforeSentence) {
-                    comments.push(line);
-                } else {
-                    logLineError('comments must precede sentence, ignoring');
-                }
-                continue;
-            }
+        this.issues = parser.issues;
+        this.error = parser.error;
+        this.columns = parser.columns;
 
-            // non-comment, assume inside sentence until terminated by
-            // blank line
-            beforeSentence = false;
+        return this;
+    }
 
-            var fields = splitter(line);
+    // Return representation of document in CoNLL-U format. Each
+    // sentence is terminated by a blank line, so that parsing the
+    // output gives back an identical document. For CoNLL-U Plus
+    // documents, the columns are declared in the first line.
+    Document.prototype.toConllU = function() {
+        var output = '';
 
-            if (fields.length === 0) {
-                // empty line, terminates sentence
-                if (elements.length !== 0) {
-                    var sId = 'S' + (this.sentences.length+1);
-                    var sentence = new Sentence(sId, elements, comments);
-                    this.sentences.push(sentence);
-                } else {
-                    logLineError('empty sentence, ignoring');
-                }
-                // reset
-                elements = [];
-                comments = [];
-                beforeSentence = true;
-                continue;
-            }
+        if (this.columns !== null) {
+            output += '# global.columns = ' + this.columns.join(' ') + '\n';
+        }
+        for (var i=0; i<this.sentences.length; i++) {
+            output += this.sentences[i].toConllU(this.columns);
+        }
 
-            if (fields.length !== 10) {
-                logLineError('expected 10 fields, got '+fields.length);
-                repairFields(fields, this.logger);
-            }
+        return output;
+    };
 
-            var element = new Element(fields, idx, line);
+    // Compare the annotation of the document to that of the given
+    // other version of it, pairing sentences by ID (sent_id). Return
+    // an object with
+    // - differences: list of differences in paired sentences (see
+    //   Sentence.diff())
+    // - unpaired: IDs of sentences found in only one of the documents
+    // - tokenization: IDs of paired sentences whose tokenization
+    //   differs, which are not compared
+    Document.prototype.diff = function(other) {
+        var result = {
+            differences: [],
+            unpaired: [],
+            tokenization: []
+        };
 
-            var issues = element.validate();
-            for (var j=0; j<issues.length; j++) {
-                logLineError(issues[j]);
+        var sentenceById = sentenceIndex(this.sentences),
+            otherById = sentenceIndex(other.sentences);
+
+        for (var i=0; i<this.sentences.length; i++) {
+            var sentence = this.sentences[i],
+                otherSentence = otherById[sentence.id];
+            if (otherSentence === undefined) {
+                result.unpaired.push(sentence.id);
+                continue;
             }
-            if (issues.length !== 0) {
-                if (!element.repair(this.logger)) {
-                    logLineError('repair failed, discarding line');
-                    continue; // failed, ignore line
-                }
+            var differences = sentence.diff(otherSentence);
+            if (differences === null) {
+                result.tokenization.push(sentence.id);
+            } else {
+                result.differences = result.differences.concat(differences);
             }
-
-            elements.push(element);
         }
-
-        // If elements is non-empty, last sentence ended without its
-        // expected terminating empty line. Process, but warn if strict.
-        if (elements.length !== 0) {
-            if (this.strict) {
-                this.logError('missing blank line after last sentence');
+        for (var i=0; i<other.sentences.length; i++) {
+            if (sentenceById[other.sentences[i].id] === undefined) {
+                result.unpaired.push(other.sentences[i].id);
             }
-            var sId = 'S' + (this.sentences.length+1);
-            var sentence = new Sentence(sId, elements, comments);
-            this.sentences.push(sentence);
-            // reset
-            elements = [];
-            comments = [];
-            beforeSentence = true;
         }
 
-        // If comments is non-empty, there were comments after the
-        // terminating empty line. Warn and discard.
-        if (comments.length !== 0) {
-            this.logError('comments may not occur after last sentence, '+
-                          'ignoring');
+        return result;
+    };
+
+    // Return brat styles marking the given differences (see diff()) in
+    // the sentences of the document (see Sentence.markDifferences()),
+    // for passing to toBrat().
+    Document.prototype.markDifferences = function(differences, color) {
+        var bySentence = {},
+            styles = [];
+
+        for (var i=0; i<differences.length; i++) {
+            var id = differences[i].sentenceId;
+            if (bySentence[id] === undefined) {
+                bySentence[id] = [];
+            }
+            bySentence[id].push(differences[i]);
+        }
+        for (var i=0; i<this.sentences.length; i++) {
+            var sentence = this.sentences[i];
+            if (bySentence[sentence.id] !== undefined) {
+                styles = styles.concat(sentence.markDifferences(
+                    bySentence[sentence.id], color));
+            }
         }
 
-        return this;
-    }
+        return styles;
+    };
 
-    Document.prototype.toBrat = function(logger, includeEmpty) {
+    // Return representation of document for visualization with brat.
+    // The optional columns object maps names of extra (CoNLL-U Plus)
+    // columns to 'span' or 'attribute' (see Sentence.bratColumns()),
+    // and styles are added to those of the sentences (e.g. from
+    // markDifferences()).
+    Document.prototype.toBrat = function(logger, includeEmpty, columns,
+                                         styles) {
         if (logger !== undefined) {
             this.logger = logger;
         }
@@ -181,48 +313,10 @@ var ConllU = (function(window, undefined) {
             includeEmpty = false;    // hide empty nodes by default
         }
 
-        // merge brat data over all sentences
-        var mergedBratData = {},
-            textOffset = 0;
-        var categories = [
-            'entities',
-            'attributes',
-            'relations',
-            'comments',
-            'styles',
-            'sentlabels'
-        ];
-        for (var i=0; i<categories.length; i++) {
-            mergedBratData[categories[i]] = [];
-        }
-        mergedBratData['text'] = '';
-        for (var i=0; i<this.sentences.length; i++) {
-            var sentence = this.sentences[i];
+        var mergedBratData = mergeBratData(this, includeEmpty, columns, true);
 
-            var issues = sentence.validate();
-            for (var j=0; j<issues.length; j++) {
-                this.logError(issues[j]);
-            }
-            if (issues.length !== 0) {
-                if (!sentence.repair(this.logger)) {
-                    this.logError('repair failed, discarding sentence');
-                    continue;
-                }
-            }
-            sentence.setBaseOffset(textOffset !== 0 ? textOffset + 1 : 0);
-            bratData = sentence.toBrat(includeEmpty);
-            
-            // merge
-            if (mergedBratData['text'].length !== 0) {
-                mergedBratData['text'] += '\n';
-                textOffset += 1;
-            }
-            mergedBratData['text'] += bratData['text'];
-            textOffset += bratData['text'].length;
-            for (var j=0; j<categories.length; j++) {
-                var c = categories[j];
-                mergedBratData[c] = mergedBratData[c].concat(bratData[c]);
-            }
+        if (styles !== undefined) {
+            mergedBratData['styles'] = mergedBratData['styles'].concat(styles);
         }
 
         // to avoid brat breakage on error, don't send empty text
@@ -235,1053 +329,6547 @@ var ConllU = (function(window, undefined) {
         return mergedBratData;
     };
 
-    /*
-     * ConllU.Sentence: represents CoNLL-U sentence
-     */
-
-    var Sentence = function(sentenceId, elements, comments) {
-        this.id = sentenceId;
-        this.elements = elements;
-        this.comments = comments;
-        this.baseOffset = 0;
-    };
+    // Return representation of document as brat standoff files for
+    // use in a brat annotation project: an object with the contents
+    // of the text (txt) and annotation (ann) files, and configuration
+    // files (annotationConf, visualConf) declaring the types found in
+    // the document. Arguments are as for toBrat(). IDs are numbered
+    // over the document, and type names containing characters not
+    // permitted by brat are rewritten (see bratTypeName()), with the
+    // original names as labels in visualConf. Note that basic (HEAD)
+    // and enhanced (DEPS) relations are not told apart: both are
+    // written with the same relation types, and an arc in both is
+    // written once, so the brat project cannot show which arcs are
+    // basic (fromBratStandoff() keeps the current basic relation where
+    // it can, see setBratRelations()).
+    Document.prototype.toBratStandoff = function(logger, includeEmpty,
+                                                 columns) {
+        var data = this.toBrat(logger, includeEmpty, columns),
+            lines = [],
+            idMap = {},
+            types = { entities: {}, relations: {}, attributes: {} };
+
+        for (var i=0; i<data.entities.length; i++) {
+            var entity = data.entities[i],
+                id = 'T' + (i+1),
+                type = bratTypeName(entity[1]),
+                spans = entity[2];
+            idMap[entity[0]] = id;
+            types.entities[type] = entity[1];
+            lines.push(id + '\t' + type + ' ' + spans.map(function(s) {
+                return s[0] + ' ' + s[1];
+            }).join(';') + '\t' + spans.map(function(s) {
+                return data.text.substring(s[0], s[1]);
+            }).join(' '));
+        }
 
-    // set offset of first character in sentence (for standoff
-    // generation)
-    Sentence.prototype.setBaseOffset = function(baseOffset) {
-        this.baseOffset = baseOffset;
-    }
+        var attributeCount = 0;
+        for (var i=0; i<data.attributes.length; i++) {
+            var attribute = data.attributes[i],
+                name = bratTypeName(attribute[1]),
+                target = idMap[attribute[2]];
+            if (target === undefined) {
+                continue;
+            }
+            if (types.attributes[name] === undefined) {
+                types.attributes[name] = { label: attribute[1], values: {} };
+            }
+            types.attributes[name].values[attribute[3]] = true;
+            lines.push('A' + (++attributeCount) + '\t' + name + ' ' +
+                       target + ' ' + attribute[3]);
+        }
 
-    Sentence.prototype.dependencies = function() {
-        var dependencies = [];
+        // relations in both the basic tree and the enhanced graph are
+        // written once (see above)
+        var relationCount = 0,
+            written = {};
+        for (var i=0; i<data.relations.length; i++) {
+            var relation = data.relations[i],
+                type = bratTypeName(relation[1]),
+                arg1 = idMap[relation[2][0][1]],
+                arg2 = idMap[relation[2][1][1]],
+                key = type + ' ' + arg1 + ' ' + arg2;
+            if (arg1 === undefined || arg2 === undefined || written[key]) {
+                continue;    // e.g. attachment to the virtual root
+            }
+            written[key] = true;
+            types.relations[type] = relation[1];
+            lines.push('R' + (++relationCount) + '\t' + type + ' Arg1:' +
+                       arg1 + ' Arg2:' + arg2);
+        }
 
-        for (var i=0; i<this.elements.length; i++) {
-            var element = this.elements[i];
-            dependencies = dependencies.concat(element.dependencies());
+        var commentCount = 0;
+        for (var i=0; i<data.comments.length; i++) {
+            var comment = data.comments[i],
+                target = idMap[comment[0]];
+            if (target === undefined) {
+                continue;
+            }
+            lines.push('#' + (++commentCount) + '\t' + comment[1] + ' ' +
+                       target + '\t' + comment[2].replace(/\s+/g, ' '));
         }
 
-        return dependencies;
+        return {
+            txt: data.text + '\n',
+            ann: lines.join('\n') + (lines.length !== 0 ? '\n' : ''),
+            annotationConf: bratAnnotationConf(types),
+            visualConf: bratVisualConf(types)
+        };
     };
 
-    Sentence.prototype.words = function(includeEmpty) {
-        return this.elements.filter(function(e) { 
-            return (e.isWord() || (includeEmpty && e.isEmptyNode()));
-        });
-    };
+    // Update the document from the given brat document data, as
+    // produced by toBrat() and edited in brat. Annotations are mapped
+    // to elements by their IDs (e.g. "S1-T3" for word 3 of sentence
+    // S1): entity types to UPOSTAG, attributes to FEATS (or extra
+    // CoNLL-U Plus columns), relations to HEAD and DEPREL (and DEPS
+    // for sentences with an enhanced graph), and AnnotatorNotes to
+    // LEMMA, XPOSTAG and MISC. Elements without an entity are not
+    // changed. Return list of Issues (warnings) for annotations that
+    // cannot be mapped, which are also added to the document.
+    Document.prototype.fromBrat = function(data, logger) {
+        if (logger !== undefined) {
+            this.logger = logger;
+        }
 
-    Sentence.prototype.multiwords = function() {
-        return this.elements.filter(function(e) {
-            return e.isMultiword();
-        });
-    };
+        var that = this,
+            issues = [],
+            targets = {},    // by brat ID
+            sentenceById = sentenceIndex(this.sentences),
+            elementIndexes = {};    // by sentence ID
+
+        var report = function(message) {
+            var issue = new Issue('unmapped-annotation', message,
+                                  { severity: 'warning' });
+            issues.push(issue);
+            that.addIssue(issue);
+        };
 
-    Sentence.prototype.tokens = function() {
-        // extract token sequence by omitting word IDs that are
-        // included in a multiword token range.
-        var multiwords = this.multiwords();
-        var inRange = {};
-        for (var i=0; i<multiwords.length; i++) {
-            var mw = multiwords[i];
-            for (var j=mw.rangeFrom(); j<=mw.rangeTo(); j++) {
-                inRange[j] = true;
+        // Return object with the sentence, element ID and (if not the
+        // virtual root) the element identified by the given brat ID,
+        // or null if none.
+        var resolve = function(bratId) {
+            var m = String(bratId).match(/^(.*)-T(\d+(?:\.\d+)?)$/);
+            var sentence = (m && sentenceById.hasOwnProperty(m[1]) ?
+                            sentenceById[m[1]] : null);
+            if (sentence === null) {
+                return null;
+            }
+            if (elementIndexes[sentence.id] === undefined) {
+                elementIndexes[sentence.id] = sentence.elementById();
+            }
+            var element = elementIndexes[sentence.id][m[2]];
+            if (m[2] !== '0' && element === undefined) {
+                return null;
+            }
+            return { sentence: sentence, id: m[2], element: element };
+        };
+
+        for (var i=0; i<data.entities.length; i++) {
+            var entity = data.entities[i],
+                target = resolve(entity[0]);
+            if (target === null || target.element === undefined) {
+                report('cannot map entity '+entity[0]+' ('+entity[1]+')');
+                continue;
             }
+            targets[entity[0]] = {
+                sentence: target.sentence,
+                element: target.element,
+                upostag: entity[1],
+                features: {},
+                columns: {},
+                relations: [],
+                notes: {}
+            };
         }
-        return this.elements.filter(function(e) {
-            return e.isToken(inRange);
-        });
-    };
 
-    // return words with possible modifications for visualization with
-    // brat
-    Sentence.prototype.bratWords = function(includeEmpty) {
-        var words = this.words(includeEmpty);
-        
-        for (var i=0; i<words.length; i++) {
-            if (isRtl(words[i].form)) {
-                words[i] = deepCopy(words[i]);
-                words[i].form = rtlFix(words[i].form);
+        for (var i=0; i<(data.attributes || []).length; i++) {
+            var attribute = data.attributes[i],
+                target = targets[attribute[2]],
+                name = attribute[1];
+            if (target === undefined) {
+                report('cannot map attribute '+attribute[0]+' ('+name+')');
+                continue;
+            }
+            if (this.columns !== null &&
+                this.columns.indexOf(name) !== -1 &&
+                standardColumns[name] === undefined) {
+                target.columns[name] = attribute[3];
+                continue;
+            }
+            if (target.features[name] === undefined) {
+                target.features[name] = [];
+            }
+            if (target.features[name].indexOf(attribute[3]) === -1) {
+                target.features[name].push(attribute[3]);
             }
         }
 
-        return words;
-    };
+        for (var i=0; i<(data.relations || []).length; i++) {
+            var relation = data.relations[i],
+                args = {};
+            for (var j=0; j<relation[2].length; j++) {
+                args[relation[2][j][0].toLowerCase()] = relation[2][j][1];
+            }
+            var head = resolve(args.arg1),
+                dependent = targets[args.arg2];
+            if (dependent === undefined && resolve(args.arg2) !== null) {
+                continue;    // element not shown in brat, unchanged
+            }
+            if (head === null || dependent === undefined ||
+                head.sentence !== dependent.sentence) {
+                report('cannot map relation '+relation[0]+' ('+
+                       relation[1]+')');
+                continue;
+            }
+            dependent.relations.push([head.id, relation[1]]);
+        }
 
-    // return tokens with possible modifications for visualization
-    // with brat
-    Sentence.prototype.bratTokens = function() {
-        var tokens = this.tokens();
+        for (var i=0; i<(data.comments || []).length; i++) {
+            var comment = data.comments[i],
+                target = targets[comment[0]],
+                m = String(comment[2]).match(/^(Lemma|Xpostag|Misc): (.*)$/);
+            if (target === undefined || comment[1] !== 'AnnotatorNotes' ||
+                !m) {
+                report('cannot map comment on '+comment[0]+': "'+
+                       comment[2]+'"');
+                continue;
+            }
+            target.notes[m[1]] = m[2];
+        }
 
-        for (var i=0; i<tokens.length; i++) {
-            tokens[i] = deepCopy(tokens[i]);
-            tokens[i].form = rtlFix(tokens[i].form);
+        for (var bratId in targets) {
+            var target = targets[bratId],
+                element = target.element;
+            element.upostag = target.upostag;
+            element.feats = featsString(target.features);
+            for (var name in target.columns) {
+                element.setColumn(name, target.columns[name]);
+            }
+            // notes are only written for LEMMA; others when not blank
+            if (target.notes.Lemma !== undefined) {
+                element.lemma = target.notes.Lemma;
+                element.xpostag = valueOrNull(target.notes.Xpostag) || '_';
+                element.misc = valueOrNull(target.notes.Misc) || '_';
+            }
+            setBratRelations(target.sentence, element, target.relations,
+                             report);
         }
 
-        return tokens;
+        return issues;
     };
 
-    // return the text of the sentence for visualization with brat
-    Sentence.prototype.bratText = function(includeEmpty) {
-        var words = this.bratWords(includeEmpty);
-        var tokens = this.bratTokens();
-
-        var wordText = words.map(function(w) { return w.form }).join(' ');
-        var tokenText = tokens.map(function(w) { return w.form }).join(' ');
-
-        var combinedText = wordText;
-        if (wordText != tokenText) {
-            combinedText += '\n' + tokenText;
+    // Update the document from the given brat standoff annotation
+    // (ann) and text (txt), as produced by toBratStandoff() and edited
+    // in brat (see fromBrat()). Entities are mapped to elements by
+    // their offsets in the text produced for this document (without
+    // validating or repairing it), so includeEmpty and columns should
+    // be as given to toBratStandoff().
+    // Type names rewritten for brat are mapped back to the original
+    // labels, and unknown relation types have "_" read as ":". Return
+    // list of Issues (warnings) for annotations that cannot be mapped.
+    Document.prototype.fromBratStandoff = function(ann, txt, logger,
+                                                   includeEmpty, columns) {
+        if (logger !== undefined) {
+            this.logger = logger;
         }
 
-        return combinedText;
-    };
+        var current = mergeBratData(this, includeEmpty || false, columns,
+                                    false),
+            issues = [],
+            that = this;
 
-    // return the annotated text spans of the sentence for visualization
-    // with brat.
-    Sentence.prototype.bratSpans = function(includeEmpty) {
-        var spans = [],
-            offset = this.baseOffset;
+        var report = function(message) {
+            var issue = new Issue('unmapped-annotation', message,
+                                  { severity: 'warning' });
+            issues.push(issue);
+            that.addIssue(issue);
+        };
 
-        // create an annotation for each word
-        var words = this.bratWords(includeEmpty);
-        for (var i=0; i<words.length; i++) {
-            var length = words[i].form.length;
-            spans.push([this.id+'-T'+words[i].id, words[i].upostag,
-                        [[offset, offset+length]]]);
-            offset += length + 1;
+        if (txt !== undefined && txt.replace(/\n$/, '') !== current.text) {
+            report('text differs from that of document, mapping by '+
+                   'offsets may fail');
         }
 
-        return spans;
-    }
-
-    // return attributes of sentence annotations for visualization
-    // with brat.
-    Sentence.prototype.bratAttributes = function(includeEmpty) {
-        var words = this.words(includeEmpty);
+        // original IDs and labels by offsets and brat type names
+        var idsByOffsets = {},
+            labels = {};
+        var addLabel = function(label) {
+            labels[bratTypeName(label)] = label;
+        };
+        for (var i=0; i<current.entities.length; i++) {
+            var key = current.entities[i][2].join(';');
+            if (idsByOffsets[key] === undefined) {
+                idsByOffsets[key] = [];
+            }
+            idsByOffsets[key].push(current.entities[i][0]);
+            addLabel(current.entities[i][1]);
+        }
+        current.attributes.forEach(function(a) { addLabel(a[1]); });
+        current.relations.forEach(function(r) { addLabel(r[1]); });
+        var label = function(type, relation) {
+            if (labels.hasOwnProperty(type)) {
+                return labels[type];
+            }
+            return relation ? type.replace(/_/g, ':') : type;
+        };
 
-        // create attributes for word features
-        var attributes = [],
-            aidseq = 1;
-        for (var i=0; i<words.length; i++) {
-            var word = words[i],
-                tid = this.id+'-T'+word.id;
-            var nameVals = word.features();
-            for (var j=0; j<nameVals.length; j++) {
-                var name = nameVals[j][0], 
-                    value = nameVals[j][1];
-                attributes.push([this.id+'-A'+aidseq++, name, tid, value]);
+        var data = { entities: [], attributes: [], relations: [],
+                     comments: [] },
+            ids = {};
+        var lines = ann.split(/\r\n|\r|\n/);
+        for (var i=0; i<lines.length; i++) {
+            var line = lines[i], m;
+            if (line.length === 0) {
+                continue;
+            } else if ((m = line.match(bratEntityRegex))) {
+                var offsets = m[3].split(';').map(function(o) {
+                    return o.split(' ').map(Number);
+                });
+                var candidates = idsByOffsets[offsets.join(';')] || [];
+                ids[m[1]] = (candidates.length !== 0 ?
+                             candidates.shift() : m[1]);
+                data.entities.push([ids[m[1]], label(m[2]), offsets]);
+            } else if ((m = line.match(bratAttributeRegex))) {
+                data.attributes.push([m[1], label(m[2]), ids[m[3]] || m[3],
+                                      m[4] !== undefined ? m[4] : 'Yes']);
+            } else if ((m = line.match(bratRelationRegex))) {
+                data.relations.push([m[1], label(m[2], true),
+                                     [['arg1', ids[m[3]] || m[3]],
+                                      ['arg2', ids[m[4]] || m[4]]]]);
+            } else if ((m = line.match(bratNoteRegex))) {
+                data.comments.push([ids[m[2]] || m[2], m[1], m[3]]);
+            } else {
+                report('cannot map annotation "'+line+'"');
             }
         }
 
-        return attributes;
+        // attachments to the virtual root are not represented in
+        // standoff; restore them for elements not given new heads
+        var relationKey = function(r) {
+            return r[1] + ' ' + r[2][0][1] + ' ' + r[2][1][1];
+        };
+        var exported = {},
+            reattached = {};
+        current.relations.forEach(function(r) {
+            exported[relationKey(r)] = true;
+        });
+        data.relations.forEach(function(r) {
+            if (!exported[relationKey(r)]) {
+                reattached[r[2][1][1]] = true;
+            }
+        });
+        for (var i=0; i<current.relations.length; i++) {
+            var relation = current.relations[i];
+            if (/-T0$/.test(relation[2][0][1]) &&
+                !reattached[relation[2][1][1]]) {
+                data.relations.push(relation);
+            }
+        }
+
+        return issues.concat(this.fromBrat(data));
     };
 
-    // return relations for sentence dependencies for visualization
-    // with brat.
-    Sentence.prototype.bratRelations = function(includeEmpty) {
-        var dependencies = this.dependencies();
-        var relations = [];
+    /*
+     * ConllU.Parser: incremental CoNLL-U parser
+     */
 
-        for (var i=0; i<dependencies.length; i++) {
-            var dep = dependencies[i];
-            relations.push([this.id+'-R'+i, dep[2], 
-                            [ [ 'arg1', this.id+'-T'+dep[1] ],
-                              [ 'arg2', this.id+'-T'+dep[0] ] ] ]);
-        }
+    // Incremental parser that accepts CoNLL-U input in chunks of any
+    // size and emits each Sentence as soon as its terminating blank
+    // line is seen, applying the same validation and repair as
+    // Document.parse(). Options (all optional):
+    // - logger: function receiving log messages
+    // - strict: whether to parse in strict mode; null (default) picks
+    //   the mode heuristically from the first word line
+    // - onSentence: function called with each completed Sentence
+    // - onIssue: function called with each Issue found
+    // - language: code of language to validate labels against (see
+    //   Element.validate())
+    // - level: validation level (see Element.validate()); if given,
+    //   completed sentences are also validated at this level
+    // - deriveDeps: whether to fill in missing DEPS from HEAD and
+    //   DEPREL in sentences that have none (see Sentence.deriveDeps())
+    var Parser = function(options) {
+        options = (options !== undefined ? options : {});
+
+        this.logger = (options.logger !== undefined ?
+                       options.logger : nullLogger);
+        this.strict = (options.strict !== undefined ?
+                       options.strict : null);
+        this.onSentence = (options.onSentence !== undefined ?
+                           options.onSentence : null);
+        this.onIssue = (options.onIssue !== undefined ?
+                        options.onIssue : null);
+        this.validation = {
+            language: (options.language !== undefined ?
+                       options.language : null),
+            level: (options.level !== undefined ? options.level : null)
+        };
+        this.deriveDeps = (options.deriveDeps !== undefined ?
+                           options.deriveDeps : false);
+        this.issues = [];
+        this.error = false;
 
-        return relations;
+        this.buffer = '';
+        this.lineidx = 0;
+        this.splitter = null;
+        this.columns = null; // CoNLL-U Plus columns, null for CoNLL-U
+        this.sentenceCount = 0;
+        this.sentIds = {};
+        this.generatedIds = {};
+        this.resetSentence();
     };
 
-    // return comments (notes) on sentence annotations for
-    // visualization with brat.
-    Sentence.prototype.bratComments = function(includeEmpty) {
-        var words = this.words(includeEmpty);
+    // discard the state of the sentence being parsed
+    Parser.prototype.resetSentence = function() {
+        this.elements = [];
+        this.comments = [];
+        this.sentenceIssues = [];
+        this.beforeSentence = true;
+    };
 
-        // TODO: better visualization for LEMMA, XPOSTAG, and MISC.
-        var comments = [];
-        for (var i=0; i<words.length; i++) {
-            var word = words[i],
-                tid = this.id+'-T'+word.id,
-                label = 'AnnotatorNotes';
-            comments.push([tid, label, 'Lemma: ' + word.lemma]);
-            if (word.xpostag !== '_') {
-                comments.push([tid, label, 'Xpostag: ' + word.xpostag]);
-            }
-            if (word.misc !== '_') {
-                comments.push([tid, label, 'Misc: ' + word.misc]);
-            }
+    // Record the given Issue, log it, and flag the parse as
+    // erroneous if the issue is an error.
+    Parser.prototype.addIssue = function(issue) {
+        this.issues.push(issue);
+        this.logger(issue.severity + ': ' + issue.toString());
+        if (issue.isError()) {
+            this.error = true;
         }
+        if (this.onIssue !== null) {
+            this.onIssue(issue);
+        }
+    };
 
-        return comments;
+    // Record the given Issue as concerning the sentence being parsed.
+    Parser.prototype.addSentenceIssue = function(issue) {
+        this.addIssue(issue);
+        this.sentenceIssues.push(issue);
     };
 
-    // Return styles on sentence annotations for visualization with
-    // brat. Note: this feature is an extension of both the CoNLL-U
-    // comment format and the basic brat data format.
-    Sentence.prototype.bratStyles = function(includeEmpty) {
-        var styles = [],
-            wildcards = [];
+    // Parse the given chunk of input. Return the list of sentences
+    // completed by the chunk.
+    // Lines may end in LF, CRLF or CR, and a byte order mark at the
+    // start of input is ignored.
+    Parser.prototype.write = function(chunk) {
+        var input = this.buffer + chunk,
+            held = '';
 
-        for (var i=0; i<this.comments.length; i++) {
-            var comment = this.comments[i];
+        if (this.lineidx === 0 && input.charAt(0) === '\uFEFF') {
+            input = input.substr(1);
+        }
+        // a final CR may be followed by LF in the next chunk
+        if (input.charAt(input.length-1) === '\r') {
+            input = input.substr(0, input.length-1);
+            held = '\r';
+        }
 
-            m = comment.match(/^(\#\s*visual-style\s+)(.*)/);
-            if (!m) {
-                continue;
-            }
-            var styleSpec = m[2];
+        var lines = input.split(/\r\n|\r|\n/);
+        var sentences = [];
 
-            // Attempt to parse as a visual style specification. The
-            // expected format is "REF<SPACE>STYLE", where REF
-            // is either a single ID (for a span), a space-separated
-            // ID1 ID2 TYPE triple (for a relation), or a special
-            // wildcard value like "arcs", and STYLE is either
-            // a colon-separated key-value pair or a color.
-            m = styleSpec.match(/^([^\t]+)\s+(\S+)\s*$/);
-            if (!m) {
-                // TODO: avoid console.log
-                console.log('warning: failed to parse: "'+comment+'"');
-                continue;
+        // the last line may continue in the next chunk
+        this.buffer = lines.pop() + held;
+
+        for (var i=0; i<lines.length; i++) {
+            var sentence = this.parseLine(lines[i]);
+            if (sentence !== null) {
+                sentences.push(sentence);
             }
-            var reference = m[1], style = m[2];
+        }
 
-            // split style into key and value, adding a key to
-            // color-only styles as needed for the reference type.
-            var key, value;
-            m = style.match(/^(\S+):(\S+)$/);
-            if (m) {
-                key = m[1];
-                value = m[2];
-            } else {
-                value = style;
-                if (reference === 'arcs' || reference.indexOf(' ') !== -1) {
-                    key = 'color';
-                } else {
-                    key = 'bgColor';
-                }
+        return sentences;
+    };
+
+    // Signal end of input, parsing any remaining buffered content.
+    // Return the list of sentences completed by it.
+    Parser.prototype.end = function() {
+        var sentences = [];
+
+        // input not terminated by a newline, or terminated by a CR
+        // held back in write()
+        if (this.buffer.length !== 0) {
+            var sentence = this.parseLine(this.buffer.replace(/\r$/, ''));
+            if (sentence !== null) {
+                sentences.push(sentence);
             }
+            this.buffer = '';
+        }
 
-            // store wildcards for separate later processing
-            if (reference.match(/^(nodes|arcs)$/)) {
-                wildcards.push([reference, key, value]);
-                continue;
+        // If elements is non-empty, last sentence ended without its
+        // expected terminating empty line. Process, but warn if strict.
+        if (this.elements.length !== 0) {
+            if (this.strict) {
+                this.addSentenceIssue(new Issue(
+                    'missing-empty-line',
+                    'missing blank line after last sentence'));
             }
+            sentences.push(this.completeSentence());
+        }
 
-            // adjust every ID in reference for brat
-            if (reference.indexOf(' ') === -1) {
-                reference = this.id + '-T' + reference;
+        // If comments is non-empty, there were comments after the
+        // terminating empty line. Warn and discard.
+        if (this.comments.length !== 0) {
+            this.addIssue(new Issue('misplaced-comment',
+                                    'comments may not occur after last '+
+                                    'sentence, ignoring'));
+            this.resetSentence();
+        }
+
+        return sentences;
+    };
+
+    // Parse a single line of input. Return the Sentence it completes,
+    // if any, null otherwise.
+    Parser.prototype.parseLine = function(line) {
+        var idx = this.lineidx++, that = this;
+
+        var logLineError = function(code, message) {
+            that.addSentenceIssue(new Issue(code, message, { line: idx+1 }));
+        };
+
+        if (isComment(line)) {
+            // declared columns are kept by the document, not a sentence
+            if (isColumnsDeclaration(line) &&
+                this.parseColumnsDeclaration(line, logLineError)) {
+                return null;
+            }
+            if (this.beforeSentence) {
+                this.comments.push(line);
             } else {
-                reference = reference.split(' ');
-                reference[0] = this.id + '-T' + reference[0];
-                reference[1] = this.id + '-T' + reference[1];
+                logLineError('misplaced-comment',
+                             'comments must precede sentence, ignoring');
             }
-
-            styles.push([reference, key, value]);
+            return null;
         }
 
-        // for expanding wildcards, first determine which words / arcs
-        // styles have already been set, and then add the style to
-        // everything that hasn't.
-        var setStyle = {};
-        for (var i=0; i<styles.length; i++) {
-            setStyle[styles[i][0].concat([styles[i][1]])] = true;
+        // non-comment, assume inside sentence until terminated by
+        // blank line
+        this.beforeSentence = false;
+
+        if (this.splitter === null) {
+            if (this.strict === null && line.trim().length !== 0) {
+                this.strict = selectParsingMode(line, this.logger);
+            }
+            if (this.strict !== null) {
+                // select splitter to use for dividing the lines into
+                // fields.
+                this.splitter = selectFieldSplitter(line, this.logger,
+                                                    this.strict);
+            }
         }
-        for (var i=0; i<wildcards.length; i++) {
-            var reference = wildcards[i][0],
-                key = wildcards[i][1],
-                value = wildcards[i][2];
-            if (reference === 'nodes') {
-                var words = this.words(includeEmpty);
-                for (var j=0; j<words.length; j++) {
-                    var r = this.id + '-T' + words[j].id;
-                    if (!setStyle[r.concat([key])]) {
-                        styles.push([r, key, value]);
-                        setStyle[r.concat([key])] = true;
-                    }
-                }
-            } else if (reference === 'arcs') {
-                var deps = this.dependencies();
-                for (var j=0; j<deps.length; j++) {
-                    var r = [this.id + '-T' + deps[j][1],
-                             this.id + '-T' + deps[j][0],
-                             deps[j][2]];
-                    if (!setStyle[r.concat([key])]) {
-                        styles.push([r, key, value]);
-                        setStyle[r.concat([key])] = true;
-                    }
-                }
+
+        var fields = (this.splitter !== null ?
+                      this.splitter(line) : looseFieldSplitter(line));
+
+        if (fields.length === 0) {
+            // empty line, terminates sentence
+            if (this.elements.length !== 0) {
+                return this.completeSentence();
             } else {
-                console.log('internal error');
+                logLineError('extra-empty-line', 'empty sentence, ignoring');
+                this.resetSentence();
+                return null;
             }
         }
-        
-        return styles;
-    };
 
-    // Return label of sentence for visualization with brat, or null
-    // if not defined. Note: this feature is an extension of both the
-    // CoNLL-U comment format and the basic brat data format.
-    Sentence.prototype.bratLabel = function() {
-        var label = null;
+        var columns = (this.columns !== null ? this.columns : conllUColumns);
+        if (fields.length !== columns.length) {
+            logLineError('number-of-columns',
+                         'expected '+columns.length+' fields, got '+
+                         fields.length);
+            repairFields(fields, this.logger, columns.length);
+        }
 
-        for (var i=0; i<this.comments.length; i++) {
-            var comment = this.comments[i];
+        var element = newElement(fields, columns, idx, line);
 
-            m = comment.match(/^(\#\s*sentence-label\b)(.*)/);
-            if (!m) {
-                continue;
+        var issues = element.validate(this.validation);
+        for (var j=0; j<issues.length; j++) {
+            this.addSentenceIssue(issues[j]);
+        }
+        if (hasErrors(issues)) {
+            if (!element.repair(this.logger, this.validation)) {
+                logLineError('repair-failed',
+                             'repair failed, discarding line');
+                return null; // failed, ignore line
             }
-            label = m[2].trim();
         }
-        return label;
-    };
-
-    // Return representation of sentence in brat embedded format (see
-    // http://brat.nlplab.org/embed.html).
-    // If includeEmpty is truthy, include empty nodes in the representation.
-    // Note: "styles" is an extension, not part of the basic format.
-    Sentence.prototype.toBrat = function(includeEmpty) {
-        var text = this.bratText(includeEmpty);
-        var spans = this.bratSpans(includeEmpty);
-        var attributes = this.bratAttributes(includeEmpty);
-        var relations = this.bratRelations(includeEmpty);
-        var comments = this.bratComments(includeEmpty);
-        var styles = this.bratStyles(includeEmpty);
-        var labels = [this.bratLabel()];
 
-        return {
-            'text': text,
-            'entities': spans,
-            'attributes': attributes,
-            'relations': relations,
-            'comments': comments,
-            'styles': styles,
-            'sentlabels': labels,
-        };
+        this.elements.push(element);
+        return null;
     };
 
-    Sentence.prototype.elementById = function() {
-        var elementById = {};
+    // Set the columns declared in the given "# global.columns"
+    // comment (CoNLL-U Plus), which must be the first line. Return
+    // true iff the declaration was accepted.
+    Parser.prototype.parseColumnsDeclaration = function(line, logLineError) {
+        if (this.lineidx !== 1) {
+            logLineError('misplaced-global-columns',
+                         'global.columns must be on the first line, '+
+                         'ignoring');
+            return false;
+        }
 
-        for (var i=0; i<this.elements.length; i++) {
-            elementById[this.elements[i].id] = this.elements[i];
+        var columns = line.match(columnsDeclarationRegex)[1].split(/\s+/);
+        if (columns.indexOf('ID') === -1 || columns.indexOf('FORM') === -1) {
+            logLineError('invalid-global-columns',
+                         'global.columns must include ID and FORM, '+
+                         'ignoring');
+            return false;
         }
 
-        return elementById;
+        this.columns = columns;
+        return true;
     };
 
-    Sentence.prototype.addError = function(issue, element, issues) {
-        issues.push('line '+(element.lineidx+1)+': '+issue+' ("'+element.line+'")');
-    }
+    // Create a Sentence from the elements and comments parsed since
+    // the previous sentence, emit it, and reset for the next one. The
+    // sentence ID is taken from the sent_id metadata if present and
+    // unique, and generated otherwise: "S" followed by the number of
+    // the sentence, with a suffix (e.g. "S3-1") if a sent_id already
+    // took that. A sent_id that a generated ID already took is
+    // reported (as a warning) and replaced by a generated ID, so that
+    // sentence IDs are unique.
+    Parser.prototype.completeSentence = function() {
+        var sentence = new Sentence(null, this.elements, this.comments);
+        var sentId = sentence.sentId();
+
+        this.sentenceCount++;
+        if (sentId !== null && this.sentIds[sentId] !== undefined) {
+            this.addSentenceIssue(new Issue('non-unique-sent-id',
+                                            'non-unique sent_id "'+
+                                            sentId+'"'));
+            sentId = null;
+        } else if (sentId !== null &&
+                   this.generatedIds[sentId] !== undefined) {
+            var issue = new Issue('non-unique-sent-id',
+                                  'sent_id "'+sentId+'" already used '+
+                                  'as a generated sentence ID');
+            issue.severity = 'warning';
+            this.addSentenceIssue(issue);
+            this.sentIds[sentId] = true;
+            sentId = null;
+        }
+        if (sentId !== null) {
+            this.sentIds[sentId] = true;
+            sentence.id = sentId;
+        } else {
+            sentence.id = this.generatedId();
+        }
 
-    // Check validity of the sentence. Return list of strings
-    // representing issues found in validation (empty list if none).
-    Sentence.prototype.validate = function() {
-        var issues = [];
+        if (this.deriveDeps && !sentence.isEnhanced()) {
+            sentence.deriveDeps();
+        }
+        if (this.validation.level !== null) {
+            var issues = sentence.validate(this.validation);
+            for (var i=0; i<issues.length; i++) {
+                this.addSentenceIssue(issues[i]);
+            }
+        }
 
-        this.validateUniqueIds(issues);
-        this.validateWordSequence(issues);
-        this.validateMultiwordSequence(issues);
-        this.validateEmptyNodeSequence(issues);
-        this.validateReferences(issues);
+        // fill in sentence ID in issues found in the sentence
+        for (var i=0; i<this.sentenceIssues.length; i++) {
+            this.sentenceIssues[i].sentenceId = sentence.id;
+        }
+        this.resetSentence();
 
-        return issues;
+        if (this.onSentence !== null) {
+            this.onSentence(sentence);
+        }
+        return sentence;
     };
 
-    // Check for presence of ID duplicates
-    Sentence.prototype.validateUniqueIds = function(issues) {
-        issues = (issues !== undefined ? issues : []);
-
-        var initialIssueCount = issues.length;
-        var elementById = {};
+    // Return a sentence ID for the current sentence that is not a
+    // sent_id or generated ID of a previous sentence.
+    Parser.prototype.generatedId = function() {
+        var id = 'S' + this.sentenceCount;
 
-        for (var i=0; i<this.elements.length; i++) {
-            var element = this.elements[i];
-            if (elementById[element.id] !== undefined) {
-                this.addError('non-unique ID "'+element.id+'"',
-                              element, issues);
-            }
-            elementById[element.id] = element;
+        for (var i=1; (this.sentIds[id] !== undefined ||
+                       this.generatedIds[id] !== undefined); i++) {
+            id = 'S' + this.sentenceCount + '-' + i;
         }
+        this.generatedIds[id] = true;
 
-        return issues.length === initialIssueCount;
+        return id;
     };
 
-    // Check validity of word ID sequence (should be 1,2,3,...)
-    Sentence.prototype.validateWordSequence = function(issues) {
-        issues = (issues !== undefined ? issues : []);
+    // Parse all input from the given source, which may be a Node.js
+    // readable stream, an async iterable, or an iterable of chunks.
+    // Sentences are emitted through onSentence as they are completed.
+    // Return a Promise resolving to the parser at end of input.
+    Parser.prototype.parseStream = function(source) {
+        var that = this,
+            decode = chunkDecoder();
 
-        var initialIssueCount = issues.length;
-        var expectedId = 1;
+        if (typeof source.setEncoding === 'function') {
+            source.setEncoding('utf8');
+        }
 
-        for (var i=0; i<this.elements.length; i++) {
-            var element = this.elements[i];
+        return new Promise(function(resolve, reject) {
+            // errors (e.g. from onSentence) reject, as stream errors do
+            var finish = function() {
+                try {
+                    that.write(decode());
+                    that.end();
+                } catch (e) {
+                    reject(e);
+                    return;
+                }
+                resolve(that);
+            };
+
+            var iterator = null;
+            if (typeof Symbol !== 'undefined' && Symbol.asyncIterator &&
+                typeof source[Symbol.asyncIterator] === 'function') {
+                iterator = source[Symbol.asyncIterator]();
+            } else if (typeof Symbol !== 'undefined' &&
+                       typeof source[Symbol.iterator] === 'function') {
+                iterator = source[Symbol.iterator]();
+            }
 
-            if (element.isMultiword() || element.isEmptyNode()) {
-                continue; // only check simple word sequence here
+            if (iterator !== null) {
+                var step = function() {
+                    Promise.resolve(iterator.next()).then(function(result) {
+                        if (result.done) {
+                            finish();
+                        } else {
+                            that.write(decode(result.value));
+                            step();
+                        }
+                    }).catch(reject);
+                };
+                step();
+            } else if (typeof source.on === 'function') {
+                // event-based stream without async iteration support
+                source.on('data', function(chunk) {
+                    try {
+                        that.write(decode(chunk));
+                    } catch (e) {
+                        reject(e);
+                    }
+                });
+                source.on('end', finish);
+                source.on('error', reject);
+            } else {
+                reject(new TypeError('unsupported input source'));
             }
-            
-            if (parseInt(element.id, 10) !== expectedId) {
-                this.addError('word IDs should be 1,2,3,..., ' +
-                              'expected '+expectedId+', got '+element.id,
-                              element, issues);
+        });
+    };
+
+    /*
+     * ConllU.Sentence: represents CoNLL-U sentence
+     */
+
+    var Sentence = function(sentenceId, elements, comments) {
+        this.id = sentenceId;
+        this.elements = elements;
+        this.comments = comments;
+        this.baseOffset = 0;
+    };
+
+    // set offset of first character in sentence (for standoff
+    // generation)
+    Sentence.prototype.setBaseOffset = function(baseOffset) {
+        this.baseOffset = baseOffset;
+    }
+
+    // Return the sentence metadata as an object mapping keys to
+    // values, parsed from comments of the form "# key = value"
+    // (e.g. "sent_id", "text", "newdoc id"). Keys given without a
+    // value (e.g. "# newpar") map to true.
+    Sentence.prototype.metadata = function() {
+        var metadata = {};
+
+        for (var i=0; i<this.comments.length; i++) {
+            var keyValue = parseMetadata(this.comments[i]);
+            if (keyValue !== null) {
+                metadata[keyValue[0]] = keyValue[1];
             }
-            expectedId = parseInt(element.id, 10) + 1;
         }
 
-        return issues.length === initialIssueCount;
+        return metadata;
     };
 
-    // Check that multiword token ranges are valid
-    Sentence.prototype.validateMultiwordSequence = function(issues) {
-        issues = (issues !== undefined ? issues : []);
+    // Return the value of the given metadata key, or null if not set.
+    Sentence.prototype.getMetadata = function(key) {
+        var metadata = this.metadata();
 
-        var initialIssueCount = issues.length;
-        var expectedId = 1;
+        return metadata.hasOwnProperty(key) ? metadata[key] : null;
+    };
+
+    // Set the value of the given metadata key, updating the comment
+    // holding it or adding a new one. A value of true sets the key
+    // without a value (e.g. "# newpar").
+    Sentence.prototype.setMetadata = function(key, value) {
+        var comment = (value === true ?
+                       '# ' + key : '# ' + key + ' = ' + value);
+        var rank = metadataRank(key),
+            insertAt = this.comments.length;
+
+        for (var i=0; i<this.comments.length; i++) {
+            var keyValue = parseMetadata(this.comments[i]);
+            if (keyValue === null) {
+                continue;
+            }
+            if (keyValue[0] === key) {
+                this.comments[i] = comment;
+                return;
+            }
+            if (insertAt === this.comments.length &&
+                metadataRank(keyValue[0]) > rank) {
+                insertAt = i;
+            }
+        }
+        this.comments.splice(insertAt, 0, comment);
+    };
+
+    // Remove the given metadata key. Return true iff it was set.
+    Sentence.prototype.removeMetadata = function(key) {
+        var filtered = this.comments.filter(function(c) {
+            var keyValue = parseMetadata(c);
+            return keyValue === null || keyValue[0] !== key;
+        });
+        var removed = filtered.length !== this.comments.length;
+        this.comments = filtered;
+
+        return removed;
+    };
+
+    // Return the sent_id of the sentence, or null if not set.
+    Sentence.prototype.sentId = function() {
+        return this.getMetadata('sent_id');
+    };
+
+    // Set the sent_id of the sentence, also using it as the
+    // sentence ID.
+    Sentence.prototype.setSentId = function(sentId) {
+        this.setMetadata('sent_id', sentId);
+        this.id = sentId;
+    };
+
+    // Return the ID of the document starting at this sentence, true
+    // if a document starts here without an ID, or false if not.
+    Sentence.prototype.newDoc = function() {
+        var id = this.getMetadata('newdoc id');
+
+        return id !== null ? id : this.getMetadata('newdoc') === true;
+    };
+
+    // Return the ID of the paragraph starting at this sentence, true
+    // if a paragraph starts here without an ID, or false if not.
+    Sentence.prototype.newPar = function() {
+        var id = this.getMetadata('newpar id');
+
+        return id !== null ? id : this.getMetadata('newpar') === true;
+    };
+
+    Sentence.prototype.dependencies = function() {
+        var dependencies = [];
 
         for (var i=0; i<this.elements.length; i++) {
             var element = this.elements[i];
+            dependencies = dependencies.concat(element.dependencies());
+        }
+
+        return dependencies;
+    };
+
+    Sentence.prototype.words = function(includeEmpty) {
+        return this.elements.filter(function(e) { 
+            return (e.isWord() || (includeEmpty && e.isEmptyNode()));
+        });
+    };
+
+    Sentence.prototype.multiwords = function() {
+        return this.elements.filter(function(e) {
+            return e.isMultiword();
+        });
+    };
+
+    Sentence.prototype.tokens = function() {
+        // extract token sequence by omitting word IDs that are
+        // included in a multiword token range.
+        var multiwords = this.multiwords();
+        var inRange = {};
+        for (var i=0; i<multiwords.length; i++) {
+            var mw = multiwords[i];
+            for (var j=mw.rangeFrom(); j<=mw.rangeTo(); j++) {
+                inRange[j] = true;
+            }
+        }
+        return this.elements.filter(function(e) {
+            return e.isToken(inRange);
+        });
+    };
+
+    // Return the text of the sentence, reconstructed from the forms
+    // of its tokens (see tokens()) and the spacing given in MISC (see
+    // Element.spacesAfter()). Spacing after the last token is not
+    // included.
+    Sentence.prototype.text = function() {
+        var tokens = this.tokens();
+
+        return surfaceText(tokens, tokens).text;
+    };
+
+    // Return list of (token, start, end) triples giving the character
+    // offsets of each token in text().
+    Sentence.prototype.tokenOffsets = function() {
+        var tokens = this.tokens(),
+            offsets = surfaceText(tokens, tokens).offsets;
+
+        return tokens.map(function(token, i) {
+            return [token, offsets[i][0], offsets[i][1]];
+        });
+    };
+
+    // return words with possible modifications for visualization with
+    // brat
+    Sentence.prototype.bratWords = function(includeEmpty) {
+        var words = this.words(includeEmpty);
+        
+        for (var i=0; i<words.length; i++) {
+            if (isRtl(words[i].form)) {
+                words[i] = deepCopy(words[i]);
+                words[i].form = rtlFix(words[i].form);
+            }
+        }
+
+        return words;
+    };
+
+    // return tokens with possible modifications for visualization
+    // with brat
+    Sentence.prototype.bratTokens = function() {
+        var tokens = this.tokens();
+
+        for (var i=0; i<tokens.length; i++) {
+            tokens[i] = deepCopy(tokens[i]);
+            tokens[i].form = rtlFix(tokens[i].form);
+        }
+
+        return tokens;
+    };
+
+    // return the text of the sentence for visualization with brat:
+    // the words separated by space, followed on the next line by the
+    // sentence text (see text()) if different.
+    Sentence.prototype.bratText = function(includeEmpty) {
+        var words = this.bratWords(includeEmpty);
+        var tokens = this.bratTokens();
+
+        var wordText = words.map(function(w) { return w.form }).join(' ');
+        var tokenText = surfaceText(tokens, this.tokens()).text;
+
+        var combinedText = wordText;
+        if (wordText != tokenText) {
+            combinedText += '\n' + tokenText;
+        }
+
+        return combinedText;
+    };
+
+    // return the annotated text spans of the sentence for visualization
+    // with brat.
+    Sentence.prototype.bratSpans = function(includeEmpty) {
+        var spans = [],
+            offset = this.baseOffset;
+
+        // create an annotation for each word
+        var words = this.bratWords(includeEmpty);
+        for (var i=0; i<words.length; i++) {
+            var length = words[i].form.length;
+            spans.push([this.id+'-T'+words[i].id, words[i].upostag,
+                        [[offset, offset+length]]]);
+            offset += length + 1;
+        }
+
+        return spans;
+    }
+
+    // return attributes of sentence annotations for visualization
+    // with brat.
+    Sentence.prototype.bratAttributes = function(includeEmpty) {
+        var words = this.words(includeEmpty);
+
+        // create attributes for word features
+        var attributes = [],
+            aidseq = 1;
+        for (var i=0; i<words.length; i++) {
+            var word = words[i],
+                tid = this.id+'-T'+word.id;
+            var nameVals = word.features();
+            for (var j=0; j<nameVals.length; j++) {
+                var name = nameVals[j][0], 
+                    value = nameVals[j][1];
+                attributes.push([this.id+'-A'+aidseq++, name, tid, value]);
+            }
+        }
+
+        return attributes;
+    };
+
+    // return annotations for values of extra (CoNLL-U Plus) columns
+    // for visualization with brat. The columns object maps column
+    // names to 'span' for an annotation of the word with the value as
+    // its type, or to 'attribute' for an attribute of the word
+    // annotation named by the column. Blank ("_") values are skipped.
+    Sentence.prototype.bratColumns = function(includeEmpty, columns) {
+        var entities = [],
+            attributes = [],
+            cidseq = 1,
+            aidseq = 1,
+            offset = this.baseOffset;
+
+        // bratWords() may return copies without Element methods
+        var words = this.words(includeEmpty),
+            bratWords = this.bratWords(includeEmpty);
+        for (var i=0; i<words.length; i++) {
+            var word = words[i],
+                tid = this.id+'-T'+word.id,
+                length = bratWords[i].form.length;
+            for (var name in columns) {
+                var value = word.getColumn(name);
+                if (value === '_' || value === null) {
+                    continue;
+                }
+                if (columns[name] === 'span') {
+                    entities.push([this.id+'-C'+cidseq++, value,
+                                   [[offset, offset+length]]]);
+                } else if (columns[name] === 'attribute') {
+                    attributes.push([this.id+'-CA'+aidseq++, name, tid,
+                                     value]);
+                }
+            }
+            offset += length + 1;
+        }
+
+        return {
+            'entities': entities,
+            'attributes': attributes
+        };
+    };
+
+    // return relations for sentence dependencies for visualization
+    // with brat.
+    Sentence.prototype.bratRelations = function(includeEmpty) {
+        var dependencies = this.dependencies();
+        var relations = [];
+
+        for (var i=0; i<dependencies.length; i++) {
+            var dep = dependencies[i];
+            relations.push([this.id+'-R'+i, dep[2], 
+                            [ [ 'arg1', this.id+'-T'+dep[1] ],
+                              [ 'arg2', this.id+'-T'+dep[0] ] ] ]);
+        }
+
+        return relations;
+    };
+
+    // return comments (notes) on sentence annotations for
+    // visualization with brat.
+    Sentence.prototype.bratComments = function(includeEmpty) {
+        var words = this.words(includeEmpty);
+
+        // TODO: better visualization for LEMMA, XPOSTAG, and MISC.
+        var comments = [];
+        for (var i=0; i<words.length; i++) {
+            var word = words[i],
+                tid = this.id+'-T'+word.id,
+                label = 'AnnotatorNotes';
+            comments.push([tid, label, 'Lemma: ' + word.lemma]);
+            if (word.xpostag !== '_') {
+                comments.push([tid, label, 'Xpostag: ' + word.xpostag]);
+            }
+            if (word.misc !== '_') {
+                comments.push([tid, label, 'Misc: ' + word.misc]);
+            }
+        }
+
+        return comments;
+    };
+
+    // Return styles on sentence annotations for visualization with
+    // brat. Note: this feature is an extension of both the CoNLL-U
+    // comment format and the basic brat data format.
+    Sentence.prototype.bratStyles = function(includeEmpty) {
+        var styles = [],
+            wildcards = [];
+
+        for (var i=0; i<this.comments.length; i++) {
+            var comment = this.comments[i];
+
+            m = comment.match(/^(\#\s*visual-style\s+)(.*)/);
+            if (!m) {
+                continue;
+            }
+            var styleSpec = m[2];
+
+            // Attempt to parse as a visual style specification. The
+            // expected format is "REF<SPACE>STYLE", where REF
+            // is either a single ID (for a span), a space-separated
+            // ID1 ID2 TYPE triple (for a relation), or a special
+            // wildcard value like "arcs", and STYLE is either
+            // a colon-separated key-value pair or a color.
+            m = styleSpec.match(/^([^\t]+)\s+(\S+)\s*$/);
+            if (!m) {
+                // TODO: avoid console.log
+                console.log('warning: failed to parse: "'+comment+'"');
+                continue;
+            }
+            var reference = m[1], style = m[2];
+
+            // split style into key and value, adding a key to
+            // color-only styles as needed for the reference type.
+            var key, value;
+            m = style.match(/^(\S+):(\S+)$/);
+            if (m) {
+                key = m[1];
+                value = m[2];
+            } else {
+                value = style;
+                if (reference === 'arcs' || reference.indexOf(' ') !== -1) {
+                    key = 'color';
+                } else {
+                    key = 'bgColor';
+                }
+            }
+
+            // store wildcards for separate later processing
+            if (reference.match(/^(nodes|arcs)$/)) {
+                wildcards.push([reference, key, value]);
+                continue;
+            }
+
+            // adjust every ID in reference for brat
+            if (reference.indexOf(' ') === -1) {
+                reference = this.id + '-T' + reference;
+            } else {
+                reference = reference.split(' ');
+                reference[0] = this.id + '-T' + reference[0];
+                reference[1] = this.id + '-T' + reference[1];
+            }
+
+            styles.push([reference, key, value]);
+        }
+
+        // for expanding wildcards, first determine which words / arcs
+        // styles have already been set, and then add the style to
+        // everything that hasn't.
+        var setStyle = {};
+        for (var i=0; i<styles.length; i++) {
+            setStyle[styles[i][0].concat([styles[i][1]])] = true;
+        }
+        for (var i=0; i<wildcards.length; i++) {
+            var reference = wildcards[i][0],
+                key = wildcards[i][1],
+                value = wildcards[i][2];
+            if (reference === 'nodes') {
+                var words = this.words(includeEmpty);
+                for (var j=0; j<words.length; j++) {
+                    var r = this.id + '-T' + words[j].id;
+                    if (!setStyle[r.concat([key])]) {
+                        styles.push([r, key, value]);
+                        setStyle[r.concat([key])] = true;
+                    }
+                }
+            } else if (reference === 'arcs') {
+                var deps = this.dependencies();
+                for (var j=0; j<deps.length; j++) {
+                    var r = [this.id + '-T' + deps[j][1],
+                             this.id + '-T' + deps[j][0],
+                             deps[j][2]];
+                    if (!setStyle[r.concat([key])]) {
+                        styles.push([r, key, value]);
+                        setStyle[r.concat([key])] = true;
+                    }
+                }
+            } else {
+                console.log('internal error');
+            }
+        }
+        
+        return styles;
+    };
+
+    // Return label of sentence for visualization with brat, or null
+    // if not defined. Note: this feature is an extension of both the
+    // CoNLL-U comment format and the basic brat data format.
+    Sentence.prototype.bratLabel = function() {
+        var label = null;
+
+        for (var i=0; i<this.comments.length; i++) {
+            var comment = this.comments[i];
+
+            m = comment.match(/^(\#\s*sentence-label\b)(.*)/);
+            if (!m) {
+                continue;
+            }
+            label = m[2].trim();
+        }
+        return label;
+    };
+
+    // Return representation of sentence for visualization with brat,
+    // in brat embedded format (see http://brat.nlplab.org/embed.html).
+    // If includeEmpty is truthy, include empty nodes in the
+    // representation. The optional columns object maps names of extra
+    // (CoNLL-U Plus) columns to 'span' or 'attribute' (see
+    // bratColumns()), and styles are added to those given in comments
+    // (see bratStyles()). Note: "styles" is an extension, not part of
+    // the basic format.
+    Sentence.prototype.toBrat = function(includeEmpty, columns, styles) {
+        var text = this.bratText(includeEmpty);
+        var spans = this.bratSpans(includeEmpty);
+        var attributes = this.bratAttributes(includeEmpty);
+        if (columns) {
+            var columnData = this.bratColumns(includeEmpty, columns);
+            spans = spans.concat(columnData.entities);
+            attributes = attributes.concat(columnData.attributes);
+        }
+        var relations = this.bratRelations(includeEmpty);
+        var comments = this.bratComments(includeEmpty);
+        styles = this.bratStyles(includeEmpty).concat(styles || []);
+        var labels = [this.bratLabel()];
+
+        return {
+            'text': text,
+            'entities': spans,
+            'attributes': attributes,
+            'relations': relations,
+            'comments': comments,
+            'styles': styles,
+            'sentlabels': labels,
+        };
+    };
+
+    // Return an SVG image of the sentence as a string: a dependency
+    // arc diagram, or a tree if options.layout is 'tree'. Optional
+    // options:
+    //   rows: columns shown for each word (default FORM, UPOS, LEMMA)
+    //   enhanced: draw DEPS relations not in the basic tree as dashed
+    //     arcs (default true iff the sentence has DEPS)
+    //   includeEmpty: include empty nodes (default as enhanced)
+    //   rtl: lay words out right to left (default true iff most words
+    //     are in a right-to-left script)
+    //   fontSize: in pixels (default 12)
+    // Styles given in "# visual-style" comments (see bratStyles())
+    // are applied to words and arcs. No DOM is required, so text
+    // widths are estimated.
+    Sentence.prototype.toSvg = function(options) {
+        options = (options !== undefined ? options : {});
+
+        var enhanced = (options.enhanced !== undefined ?
+                        options.enhanced : this.isEnhanced()),
+            includeEmpty = (options.includeEmpty !== undefined ?
+                            options.includeEmpty : enhanced),
+            words = this.words(includeEmpty),
+            rtl = options.rtl;
+
+        if (rtl === undefined) {
+            rtl = words.filter(function(w) {
+                return isRtl(w.form);
+            }).length * 2 > words.length;
+        }
+
+        var rows = options.rows || ['FORM', 'UPOS', 'LEMMA'],
+            layout = svgLayout(words, rows, rtl, options.fontSize || 12),
+            arcs = svgArcs(words, enhanced),
+            styles = svgStyles(this, includeEmpty);
+
+        if (options.layout === 'tree') {
+            return svgTree(this, layout, arcs, styles);
+        } else {
+            return svgArcDiagram(this, layout, arcs, styles);
+        }
+    };
+
+    // Return representation of sentence in CoNLL-U format: comments
+    // followed by elements (including multiword tokens and empty
+    // nodes) in their current order, terminated by a blank line.
+    // Elements have the given columns (CoNLL-U Plus), if any.
+    Sentence.prototype.toConllU = function(columns) {
+        var lines = this.comments.slice();
+
+        for (var i=0; i<this.elements.length; i++) {
+            lines.push(this.elements[i].toConllU(columns));
+        }
+
+        return lines.join('\n') + '\n\n';
+    };
+
+    // Compare the annotation of the sentence to that of the given
+    // other version of it. Return list of differences, each an object
+    // with sentenceId, elementId, field (column name, e.g. "UPOS"),
+    // feature (the FEATS or MISC key, null for other fields), and the
+    // values in this and the other sentence (null if not set) as value
+    // and otherValue. Empty nodes found in only one sentence differ in
+    // "ID". Return null if the tokenization (word IDs and forms) of
+    // the sentences differs.
+    Sentence.prototype.diff = function(other) {
+        var words = this.words(),
+            otherWords = other.words();
+
+        if (words.length !== otherWords.length) {
+            return null;
+        }
+        for (var i=0; i<words.length; i++) {
+            if (words[i].id !== otherWords[i].id ||
+                words[i].form !== otherWords[i].form) {
+                return null;
+            }
+        }
+
+        var that = this,
+            differences = [],
+            nodes = this.words(true),
+            otherById = other.elementById();
+        var addDifference = function(element, field, feature, value,
+                                     otherValue) {
+            differences.push({
+                sentenceId: that.id,
+                elementId: element.id,
+                field: field,
+                feature: feature,
+                value: value,
+                otherValue: otherValue
+            });
+        };
+
+        for (var i=0; i<nodes.length; i++) {
+            var node = nodes[i],
+                otherNode = otherById[node.id];
+            if (otherNode === undefined) {
+                addDifference(node, 'ID', null, node.id, null);
+                continue;
+            }
+            for (var j=0; j<diffFields.length; j++) {
+                var field = diffFields[j],
+                    value = node.getColumn(field),
+                    otherValue = otherNode.getColumn(field);
+                if (field === 'FEATS' || field === 'MISC') {
+                    var map = keyValueMap(node, field),
+                        otherMap = keyValueMap(otherNode, field),
+                        keys = Object.keys(map);
+                    for (var key in otherMap) {
+                        if (!map.hasOwnProperty(key)) {
+                            keys.push(key);
+                        }
+                    }
+                    for (var k=0; k<keys.length; k++) {
+                        var v = valueOrNull(map[keys[k]]),
+                            w = valueOrNull(otherMap[keys[k]]);
+                        if (v !== w) {
+                            addDifference(node, field, keys[k], v, w);
+                        }
+                    }
+                } else if (field === 'DEPS') {
+                    if (depsString(node.enhancedDeps()) !==
+                        depsString(otherNode.enhancedDeps())) {
+                        addDifference(node, field, null, value, otherValue);
+                    }
+                } else if (value !== otherValue) {
+                    addDifference(node, field, null, value, otherValue);
+                }
+            }
+        }
+        var otherNodes = other.words(true),
+            elementById = this.elementById();
+        for (var i=0; i<otherNodes.length; i++) {
+            if (elementById[otherNodes[i].id] === undefined) {
+                addDifference(otherNodes[i], 'ID', null, null,
+                              otherNodes[i].id);
+            }
+        }
+
+        return differences;
+    };
+
+    // Return brat styles (as in bratStyles()) marking the given
+    // differences (see diff()) for visualization with brat: the words,
+    // and for HEAD and DEPREL the arcs of this sentence, in the given
+    // color (default "red"). The styles can be passed to toBrat().
+    Sentence.prototype.markDifferences = function(differences, color) {
+        color = (color !== undefined ? color : 'red');
+
+        var elementById = this.elementById(),
+            prefix = this.id + '-T',
+            marked = {},
+            styles = [];
+
+        for (var i=0; i<differences.length; i++) {
+            var element = elementById[differences[i].elementId],
+                field = differences[i].field,
+                reference,
+                key;
+            if (element === undefined) {
+                continue;
+            }
+            if ((field === 'HEAD' || field === 'DEPREL') &&
+                element.head !== null && element.head !== '_' &&
+                element.head !== '0') {
+                reference = [prefix + element.head, prefix + element.id,
+                             element.deprel];
+                key = 'color';
+            } else {
+                reference = prefix + element.id;
+                key = 'bgColor';
+            }
+            if (!marked[reference]) {
+                styles.push([reference, key, color]);
+                marked[reference] = true;
+            }
+        }
+
+        return styles;
+    };
+
+    Sentence.prototype.elementById = function() {
+        var elementById = {};
+
+        for (var i=0; i<this.elements.length; i++) {
+            elementById[this.elements[i].id] = this.elements[i];
+        }
+
+        return elementById;
+    };
+
+    /*
+     * Dependency tree navigation. Nodes are identified by ID (or given
+     * as Elements), with "0" standing for the virtual root. Each
+     * method navigates the basic tree (HEAD) by default, and the
+     * enhanced graph (DEPS) if enhanced is truthy. Lists of nodes are
+     * returned as Elements in surface order unless otherwise noted.
+     */
+
+    // Return list of (DEPENDENT, HEAD, DEPREL) lists for the basic
+    // tree, or the enhanced graph if enhanced is truthy.
+    Sentence.prototype.edges = function(enhanced) {
+        var edges = [];
+
+        for (var i=0; i<this.elements.length; i++) {
+            var element = this.elements[i];
+            if (enhanced) {
+                edges = edges.concat(element.dependencies(true));
+            } else if (!element.isMultiword() && element.head !== '_' &&
+                       element.head !== null) {
+                edges.push([element.id, element.head, element.deprel]);
+            }
+        }
+
+        return edges;
+    };
+
+    // Return the first node attached to the virtual root, or null if
+    // none.
+    Sentence.prototype.root = function(enhanced) {
+        var roots = this.children('0', enhanced);
+
+        return roots.length !== 0 ? roots[0] : null;
+    };
+
+    // Return the dependents of the given node.
+    Sentence.prototype.children = function(id, enhanced) {
+        var index = edgeIndex(this, enhanced);
+
+        return this.inSurfaceOrder(index.dependents[nodeId(id)] || []);
+    };
+
+    // Return the edges (as in edges()) coming into the given node from
+    // its heads.
+    Sentence.prototype.incoming = function(id, enhanced) {
+        var self = nodeId(id);
+
+        return this.edges(enhanced).filter(function(e) {
+            return e[0] === self;
+        });
+    };
+
+    // Return the edges (as in edges()) going out of the given node to
+    // its dependents.
+    Sentence.prototype.outgoing = function(id, enhanced) {
+        var self = nodeId(id);
+
+        return this.edges(enhanced).filter(function(e) {
+            return e[1] === self;
+        });
+    };
+
+    // Return true iff the sentence has an enhanced graph, i.e. some
+    // word or empty node has DEPS.
+    Sentence.prototype.isEnhanced = function() {
+        return this.elements.some(function(e) {
+            return !e.isMultiword() && e.deps !== '_';
+        });
+    };
+
+    // Set DEPS of each word to its HEAD and DEPREL, keeping existing
+    // DEPS unless overwrite is truthy. Words without HEAD are skipped.
+    // Return the number of words whose DEPS were set.
+    Sentence.prototype.deriveDeps = function(overwrite) {
+        var words = this.words(),
+            count = 0;
+
+        for (var i=0; i<words.length; i++) {
+            var word = words[i];
+            if ((word.deps === '_' || overwrite) &&
+                word.head !== null && word.head !== '_') {
+                word.deps = depsString([[word.head, word.deprel]]);
+                count++;
+            }
+        }
+
+        return count;
+    };
+
+    // Return the head of the given node in the basic tree, or null
+    // for the root and unattached nodes.
+    Sentence.prototype.parent = function(id) {
+        var parents = this.parents(id);
+
+        return parents.length !== 0 ? parents[0] : null;
+    };
+
+    // Return the heads of the given node (at most one in the basic
+    // tree), excluding the virtual root.
+    Sentence.prototype.parents = function(id, enhanced) {
+        var index = edgeIndex(this, enhanced);
+
+        return this.inSurfaceOrder(index.heads[nodeId(id)] || []);
+    };
+
+    // Return the ancestors of the given node, excluding the virtual
+    // root, nearest first.
+    Sentence.prototype.ancestors = function(id, enhanced) {
+        var index = edgeIndex(this, enhanced);
+
+        return this.inSurfaceOrder(reachable(index.heads, nodeId(id)), true);
+    };
+
+    // Return the descendants of the given node, excluding the node
+    // itself.
+    Sentence.prototype.descendants = function(id, enhanced) {
+        var index = edgeIndex(this, enhanced);
+
+        return this.inSurfaceOrder(reachable(index.dependents, nodeId(id)));
+    };
+
+    // Return the subtree headed by the given node: the node itself
+    // and its descendants.
+    Sentence.prototype.subtree = function(id, enhanced) {
+        var index = edgeIndex(this, enhanced);
+        var ids = reachable(index.dependents, nodeId(id));
+
+        if (ids.indexOf(nodeId(id)) === -1) {
+            ids.push(nodeId(id));
+        }
+        return this.inSurfaceOrder(ids);
+    };
+
+    // Return the other dependents of the heads of the given node.
+    Sentence.prototype.siblings = function(id, enhanced) {
+        var index = edgeIndex(this, enhanced),
+            self = nodeId(id),
+            heads = index.heads[self] || [],
+            siblings = [];
+
+        for (var i=0; i<heads.length; i++) {
+            var dependents = index.dependents[heads[i]];
+            for (var j=0; j<dependents.length; j++) {
+                if (dependents[j] !== self &&
+                    siblings.indexOf(dependents[j]) === -1) {
+                    siblings.push(dependents[j]);
+                }
+            }
+        }
+
+        return this.inSurfaceOrder(siblings);
+    };
+
+    // Return the number of edges on the shortest path from a node
+    // attached to the virtual root to the given node (0 for the
+    // root), or null if the node is not reachable from the root.
+    Sentence.prototype.depth = function(id, enhanced) {
+        var index = edgeIndex(this, enhanced),
+            current = [nodeId(id)],
+            visited = {};
+
+        // breadth-first search towards the virtual root
+        for (var depth=-1; current.length !== 0; depth++) {
+            var next = [];
+            for (var i=0; i<current.length; i++) {
+                if (current[i] === '0') {
+                    return depth;
+                }
+                visited[current[i]] = true;
+                var heads = index.heads[current[i]] || [];
+                for (var j=0; j<heads.length; j++) {
+                    if (!visited[heads[j]]) {
+                        next.push(heads[j]);
+                    }
+                }
+            }
+            current = next;
+        }
+
+        return null;
+    };
+
+    // Return the words whose HEAD arc is non-projective, i.e. spans a
+    // word that is not a descendant of the head.
+    Sentence.prototype.nonProjective = function() {
+        var words = this.words(),
+            index = edgeIndex(this),
+            descendants = {},    // lookup tables by head ID
+            nonProjective = [];
+
+        for (var i=0; i<words.length; i++) {
+            var head = words[i].head,
+                id = parseInt(words[i].id, 10);
+            if (head === null || head === '_' || head === '0' ||
+                index.heads[words[i].id] === undefined) {
+                continue;
+            }
+            if (!descendants.hasOwnProperty(head)) {
+                descendants[head] = lookupTable(
+                    reachable(index.dependents, head));
+            }
+            var from = Math.min(id, parseInt(head, 10)),
+                to = Math.max(id, parseInt(head, 10)),
+                dominated = descendants[head];
+            for (var j=from+1; j<to; j++) {
+                if (dominated[j] !== true) {
+                    nonProjective.push(words[i]);
+                    break;
+                }
+            }
+        }
+
+        return nonProjective;
+    };
+
+    // Return the Elements with the given IDs, ignoring unknown IDs
+    // and the virtual root. Sorted in surface order unless keepOrder
+    // is truthy.
+    Sentence.prototype.inSurfaceOrder = function(ids, keepOrder) {
+        var position = {},
+            elements = [];
+
+        for (var i=0; i<this.elements.length; i++) {
+            position[this.elements[i].id] = i;
+        }
+        for (var i=0; i<ids.length; i++) {
+            if (position[ids[i]] !== undefined) {
+                elements.push(this.elements[position[ids[i]]]);
+            }
+        }
+        if (!keepOrder) {
+            elements.sort(function(a, b) {
+                return position[a.id] - position[b.id];
+            });
+        }
+
+        return elements;
+    };
+
+    // Add an error Issue with the given code and message concerning
+    // the given element (and optionally field) to issues.
+    Sentence.prototype.addError = function(code, message, element, issues,
+                                           field) {
+        var issue = element.issue(code, message, field);
+        issue.sentenceId = this.id;
+        issues.push(issue);
+    }
+
+    // Check validity of the sentence. Return list of Issues found in
+    // validation (empty list if none). Options are as for
+    // Element.validate(); by default, checks of levels 1 and 2 are
+    // run. Checks of the elements themselves are not included, but
+    // registered sentence validators (see registerValidator()) are.
+    Sentence.prototype.validate = function(options) {
+        var issues = [];
+
+        this.validateUniqueIds(issues);
+        this.validateWordSequence(issues);
+        this.validateMultiwordSequence(issues);
+        this.validateEmptyNodeSequence(issues);
+        this.validateReferences(issues);
+        if (validationLevel(options, 2)) {
+            this.validateHeadTargets(issues);
+            this.validateCycles(issues);
+            this.validateReachability(issues);
+            this.validateRoots(issues);
+            this.validateRootDeprel(issues);
+            this.validateText(issues);
+            this.validateEnhancedReachability(issues);
+        }
+        if (validationLevel(options, 3)) {
+            this.validateBasicInEnhanced(issues);
+            this.validateLeaves(issues);
+            this.validateRelationDirections(issues);
+            this.validateGoeswithSpans(issues);
+            this.validatePunctProjectivity(issues);
+            this.validateUposDeprels(issues);
+        }
+        runValidators('sentence', this, issues, options);
+
+        return issues;
+    };
+
+    // Check for presence of ID duplicates
+    Sentence.prototype.validateUniqueIds = function(issues) {
+        issues = (issues !== undefined ? issues : []);
+
+        var initialIssueCount = issues.length;
+        var elementById = {};
+
+        for (var i=0; i<this.elements.length; i++) {
+            var element = this.elements[i];
+            if (elementById[element.id] !== undefined) {
+                this.addError('non-unique-id',
+                              'non-unique ID "'+element.id+'"',
+                              element, issues, 'ID');
+            }
+            elementById[element.id] = element;
+        }
+
+        return issues.length === initialIssueCount;
+    };
+
+    // Check validity of word ID sequence (should be 1,2,3,...)
+    Sentence.prototype.validateWordSequence = function(issues) {
+        issues = (issues !== undefined ? issues : []);
+
+        var initialIssueCount = issues.length;
+        var expectedId = 1;
+
+        for (var i=0; i<this.elements.length; i++) {
+            var element = this.elements[i];
+
+            if (element.isMultiword() || element.isEmptyNode()) {
+                continue; // only check simple word sequence here
+            }
+            
+            if (parseInt(element.id, 10) !== expectedId) {
+                this.addError('word-id-sequence',
+                              'word IDs should be 1,2,3,..., ' +
+                              'expected '+expectedId+', got '+element.id,
+                              element, issues, 'ID');
+            }
+            expectedId = parseInt(element.id, 10) + 1;
+        }
+
+        return issues.length === initialIssueCount;
+    };
+
+    // Check that multiword token ranges are valid
+    Sentence.prototype.validateMultiwordSequence = function(issues) {
+        issues = (issues !== undefined ? issues : []);
+
+        var initialIssueCount = issues.length;
+        var expectedId = 1,
+            elementById = this.elementById(),
+            covered = {};
+
+        for (var i=0; i<this.elements.length; i++) {
+            var element = this.elements[i];
+
+            if (element.isMultiword() && element.rangeFrom() !== expectedId) {
+                this.addError('misplaced-word-interval',
+                              'multiword tokens must appear before '+
+                              'first word in their range',
+                              element, issues, 'ID');
+            } else {
+                expectedId = parseInt(element.id, 10) + 1;
+            }
+
+            if (!element.isMultiword()) {
+                continue;
+            }
+            for (var j=element.rangeFrom(); j<=element.rangeTo(); j++) {
+                if (elementById[j] === undefined) {
+                    this.addError('invalid-word-interval',
+                                  'multiword token range includes '+
+                                  'missing word "'+j+'"',
+                                  element, issues, 'ID');
+                    break;
+                } else if (covered[j] !== undefined) {
+                    this.addError('overlapping-word-intervals',
+                                  'multiword token range overlaps "'+
+                                  covered[j]+'"', element, issues, 'ID');
+                    break;
+                }
+            }
+            for (var j=element.rangeFrom(); j<=element.rangeTo(); j++) {
+                covered[j] = element.id;
+            }
+        }
+
+        return issues.length === initialIssueCount;
+    };
+
+    Sentence.prototype.validateEmptyNodeSequence = function(issues) {
+        issues = (issues !== undefined ? issues : []);
+
+        var initialIssueCount = issues.length;
+        var previousWordId = '0';    // TODO check https://github.com/UniversalDependencies/docs/issues/382
+        var nextEmptyNodeId = 1;
+
+        for (var i=0; i<this.elements.length; i++) {
+            var element = this.elements[i];
+
+            if (element.isWord()) {
+                previousWordId = element.id;
+                nextEmptyNodeId = 1;
+            } else if (element.isEmptyNode()) {
+                var expectedId = previousWordId + '.' + nextEmptyNodeId;
+                if (element.id !== expectedId) {
+                    this.addError('misplaced-empty-node',
+                                  'empty node IDs should be *.1, *.2, ... ' +
+                                  'expected '+expectedId+', got '+element.id,
+                                  element, issues, 'ID');
+                }
+                nextEmptyNodeId++;
+            }
+        }
+
+        return issues.length === initialIssueCount;
+    }
+
+    // Check validity of ID references in HEAD and DEPS.
+    Sentence.prototype.validateReferences = function(issues) {
+        issues = (issues !== undefined ? issues : []);
+        
+        var initialIssueCount = issues.length;
+        var elementById = this.elementById();
+
+        for (var i=0; i<this.elements.length; i++) {
+            var element = this.elements[i];
+
+            // validate HEAD
+            if (!element.validHeadReference(elementById)) {
+                this.addError('unknown-head',
+                              'HEAD is not valid ID: "'+element.head+'"',
+                              element, issues, 'HEAD');
+            }
+            
+            // validate DEPS
+            var elemDeps = element.dependencies(true);
+            for (var j=0; j<elemDeps.length; j++) {
+                var head = elemDeps[j][1];
+                if (head !== '0' && elementById[head] === undefined) {
+                    this.addError('unknown-ehead',
+                                  'invalid ID "'+head+'" in DEPS',
+                                  element, issues, 'DEPS');
+                }
+            }
+        }
+
+        return issues.length === initialIssueCount;
+    };
+
+    // Check that HEAD refers to a word, not a multiword token or an
+    // empty node.
+    Sentence.prototype.validateHeadTargets = function(issues) {
+        issues = (issues !== undefined ? issues : []);
+
+        var initialIssueCount = issues.length;
+        var elementById = this.elementById();
+
+        for (var i=0; i<this.elements.length; i++) {
+            var element = this.elements[i],
+                head = elementById[element.head];
+            if (head !== undefined && !head.isWord()) {
+                this.addError('invalid-head-target',
+                              'HEAD must refer to a word, got '+
+                              (head.isMultiword() ? 'multiword token' :
+                               'empty node')+' "'+element.head+'"',
+                              element, issues, 'HEAD');
+            }
+        }
+
+        return issues.length === initialIssueCount;
+    };
+
+    // Check that HEAD does not form cycles.
+    Sentence.prototype.validateCycles = function(issues) {
+        issues = (issues !== undefined ? issues : []);
+
+        var initialIssueCount = issues.length;
+        var elementById = this.elementById();
+        var cycles = headStructure(this).cycles;
+
+        for (var i=0; i<cycles.length; i++) {
+            this.addError('head-cycle',
+                          'HEAD forms a cycle: '+cycles[i].join(' -> ')+
+                          ' -> '+cycles[i][0],
+                          elementById[cycles[i][0]], issues, 'HEAD');
+        }
+
+        return issues.length === initialIssueCount;
+    };
+
+    // Check that words attached by HEAD are reachable from the root.
+    // Words in cycles are reported by validateCycles(), so the words
+    // reported here are those attached to cycles and those whose HEAD
+    // was blanked (null), with the words attached to them. As for
+    // validateRoots(), sentences where no word is attached (e.g.
+    // CoNLL-U Plus without HEAD) are not checked.
+    Sentence.prototype.validateReachability = function(issues) {
+        issues = (issues !== undefined ? issues : []);
+
+        var initialIssueCount = issues.length;
+        var elementById = this.elementById(),
+            structure = headStructure(this),
+            unreachable = (structure.attached.length !== 0 ?
+                           structure.unreachable : []);
+
+        for (var i=0; i<unreachable.length; i++) {
+            this.addError('unreachable-word',
+                          'word is not reachable from the root',
+                          elementById[unreachable[i]], issues, 'HEAD');
+        }
+
+        return issues.length === initialIssueCount;
+    };
+
+    // Check that exactly one word has HEAD 0. Sentences where no
+    // word is attached (e.g. unparsed input) are not checked.
+    Sentence.prototype.validateRoots = function(issues) {
+        issues = (issues !== undefined ? issues : []);
+
+        var initialIssueCount = issues.length;
+        var structure = headStructure(this),
+            elementById = this.elementById();
+
+        if (structure.roots.length === 0 && structure.attached.length !== 0) {
+            this.addError('missing-root', 'no word has HEAD 0',
+                          elementById[structure.attached[0]], issues,
+                          'HEAD');
+        }
+        for (var i=1; i<structure.roots.length; i++) {
+            this.addError('multiple-roots',
+                          'multiple words have HEAD 0, first is '+
+                          structure.roots[0],
+                          elementById[structure.roots[i]], issues, 'HEAD');
+        }
+
+        return issues.length === initialIssueCount;
+    };
+
+    // Check that DEPREL is "root" iff HEAD is 0.
+    Sentence.prototype.validateRootDeprel = function(issues) {
+        issues = (issues !== undefined ? issues : []);
+
+        var initialIssueCount = issues.length;
+        var words = this.words();
+
+        for (var i=0; i<words.length; i++) {
+            var word = words[i];
+            if (word.head === '0' && !isRootDeprel(word.deprel)) {
+                this.addError('deprel-not-root',
+                              'DEPREL must be "root" for HEAD 0, got "'+
+                              word.deprel+'"', word, issues, 'DEPREL');
+            } else if (word.head !== '0' && word.head !== null &&
+                       isRootDeprel(word.deprel)) {
+                this.addError('root-not-at-zero',
+                              'DEPREL "root" requires HEAD 0, got "'+
+                              word.head+'"', word, issues, 'DEPREL');
+            }
+        }
+
+        return issues.length === initialIssueCount;
+    };
+
+    // Check that all words and empty nodes are reachable from the
+    // virtual root in the enhanced graph, if the sentence has one.
+    Sentence.prototype.validateEnhancedReachability = function(issues) {
+        issues = (issues !== undefined ? issues : []);
+
+        if (!this.isEnhanced()) {
+            return true;
+        }
+
+        var initialIssueCount = issues.length,
+            nodes = this.words(true),
+            found = reachable(edgeIndex(this, true).dependents, '0');
+
+        for (var i=0; i<nodes.length; i++) {
+            if (found.indexOf(nodes[i].id) === -1) {
+                this.addError('unconnected-node', 'node "'+nodes[i].id+
+                              '" is not reachable from the root in '+
+                              'the enhanced graph', nodes[i], issues,
+                              'DEPS');
+            }
+        }
+
+        return issues.length === initialIssueCount;
+    };
+
+    // Check that the basic tree is contained in the enhanced graph, if
+    // the sentence has one. Enhanced relations may add a subtype to
+    // the basic one (e.g. "obl:in" for "obl"). Words attached with
+    // "orphan" or to an empty node in the enhanced graph are exempt,
+    // as ellipsis is resolved differently there.
+    Sentence.prototype.validateBasicInEnhanced = function(issues) {
+        issues = (issues !== undefined ? issues : []);
+
+        if (!this.isEnhanced()) {
+            return true;
+        }
+
+        var initialIssueCount = issues.length,
+            words = this.words();
+
+        for (var i=0; i<words.length; i++) {
+            var word = words[i],
+                deps = word.enhancedDeps();
+            if (word.head === null || word.head === '_' ||
+                baseDeprel(word.deprel) === 'orphan' ||
+                deps.some(function(d) { return d[0].indexOf('.') !== -1; })) {
+                continue;
+            }
+            var found = deps.some(function(d) {
+                return (d[0] === word.head &&
+                        (d[1] === word.deprel ||
+                         d[1].indexOf(word.deprel+':') === 0));
+            });
+            if (!found) {
+                this.addError('basic-not-in-enhanced', 'basic relation "'+
+                              word.head+':'+word.deprel+'" missing '+
+                              'from DEPS', word, issues, 'DEPS');
+            }
+        }
+
+        return issues.length === initialIssueCount;
+    };
+
+    // Check that the "# text" comment, if any, matches the text
+    // reconstructed from the tokens (see text()). Mismatches are
+    // reported as warnings.
+    Sentence.prototype.validateText = function(issues) {
+        issues = (issues !== undefined ? issues : []);
+
+        var initialIssueCount = issues.length,
+            expected = this.getMetadata('text'),
+            offsets = this.tokenOffsets();
+
+        if (typeof expected !== 'string' || offsets.length === 0) {
+            return true;
+        }
+        var text = this.text();
+        if (text === expected) {
+            return true;
+        }
+
+        // report the first token at or after the first difference
+        var i = 0;
+        while (i < text.length && text[i] === expected[i]) {
+            i++;
+        }
+        var token = offsets[offsets.length-1][0];
+        for (var j=0; j<offsets.length; j++) {
+            if (offsets[j][2] > i) {
+                token = offsets[j][0];
+                break;
+            }
+        }
+        var issue = token.issue('text-form-mismatch', 'text does not '+
+                                'match forms at character '+(i+1)+': "'+
+                                expected.substr(i, 20)+'" vs. "'+
+                                text.substr(i, 20)+'"', 'FORM');
+        issue.severity = 'warning';    // not repaired, see repairText()
+        issue.sentenceId = this.id;
+        issues.push(issue);
+
+        return issues.length === initialIssueCount;
+    };
+
+    // Check that words attached with functional relations (see
+    // leafRelations) have no dependents other than those permitted
+    // for the relation. As in the UD validator, negation ("advmod"
+    // with Polarity=Neg) may modify any of these but "punct", and
+    // "punct" may attach to a word that is itself attached
+    // non-projectively.
+    Sentence.prototype.validateLeaves = function(issues) {
+        issues = (issues !== undefined ? issues : []);
+
+        var initialIssueCount = issues.length,
+            words = this.words(),
+            wordById = {},
+            nonProjective = this.nonProjective();
+
+        for (var i=0; i<words.length; i++) {
+            wordById[words[i].id] = words[i];
+        }
+        for (var i=0; i<words.length; i++) {
+            var head = wordById[words[i].head];
+            if (head === undefined) {
+                continue;
+            }
+            var headRel = baseDeprel(head.deprel),
+                rel = baseDeprel(words[i].deprel),
+                leaf = leafRelations[headRel];
+            if (leaf === undefined || leaf.permitted.indexOf(rel) !== -1) {
+                continue;
+            }
+            if (headRel !== 'punct' && rel === 'advmod' &&
+                (words[i].getFeature('Polarity') || '').
+                    split(',').indexOf('Neg') !== -1) {
+                continue;
+            }
+            if (rel === 'punct' && nonProjective.indexOf(head) !== -1) {
+                continue;
+            }
+            this.addError(leaf.code, '"'+headRel+'" must not have '+
+                          'dependents of type "'+rel+'"', words[i],
+                          issues, 'DEPREL');
+        }
+
+        return issues.length === initialIssueCount;
+    };
+
+    // Check that relations that must go left to right do.
+    Sentence.prototype.validateRelationDirections = function(issues) {
+        issues = (issues !== undefined ? issues : []);
+
+        var initialIssueCount = issues.length,
+            words = this.words();
+
+        for (var i=0; i<words.length; i++) {
+            var word = words[i],
+                rel = baseDeprel(word.deprel);
+            if (leftToRightRelations.indexOf(rel) !== -1 &&
+                word.head !== null && word.head.match(/^\d+$/) &&
+                parseInt(word.head, 10) > parseInt(word.id, 10)) {
+                this.addError('right-to-left-'+rel, '"'+rel+'" must go '+
+                              'left to right', word, issues, 'HEAD');
+            }
+        }
+
+        return issues.length === initialIssueCount;
+    };
+
+    // Check that words joined by "goeswith" are adjacent.
+    Sentence.prototype.validateGoeswithSpans = function(issues) {
+        issues = (issues !== undefined ? issues : []);
+
+        var initialIssueCount = issues.length,
+            words = this.words(),
+            parts = {};
+
+        for (var i=0; i<words.length; i++) {
+            if (baseDeprel(words[i].deprel) === 'goeswith' &&
+                words[i].head !== null) {
+                if (parts[words[i].head] === undefined) {
+                    parts[words[i].head] = [parseInt(words[i].head, 10)];
+                }
+                parts[words[i].head].push(parseInt(words[i].id, 10));
+            }
+        }
+        for (var head in parts) {
+            var ids = parts[head].sort(function(a, b) { return a - b; });
+            if (ids[ids.length-1] - ids[0] !== ids.length - 1) {
+                var element = this.inSurfaceOrder([head])[0];
+                if (element !== undefined) {
+                    this.addError('goeswith-gap', 'words joined by '+
+                                  '"goeswith" must be adjacent', element,
+                                  issues);
+                }
+            }
+        }
+
+        return issues.length === initialIssueCount;
+    };
+
+    // Check that "punct" relations are projective and do not make
+    // the attachment of other words non-projective.
+    Sentence.prototype.validatePunctProjectivity = function(issues) {
+        issues = (issues !== undefined ? issues : []);
+
+        var initialIssueCount = issues.length,
+            words = this.words(),
+            nonProjective = this.nonProjective();
+
+        for (var i=0; i<words.length; i++) {
+            if (baseDeprel(words[i].deprel) !== 'punct') {
+                continue;
+            }
+            var caused = this.causedNonProjectivities(words[i]);
+            if (caused.length !== 0) {
+                this.addError('punct-causes-nonproj', '"punct" must not '+
+                              'make the attachment of words '+
+                              caused.join(', ')+' non-projective',
+                              words[i], issues, 'HEAD');
+            }
+            if (nonProjective.indexOf(words[i]) !== -1) {
+                this.addError('punct-is-nonproj', '"punct" must not be '+
+                              'attached non-projectively', words[i],
+                              issues, 'HEAD');
+            }
+        }
+
+        return issues.length === initialIssueCount;
+    };
+
+    // Return IDs of words (in surface order) whose attachment is made
+    // non-projective by the given word, i.e. words between it and its
+    // head, or on its other side, attached across it to words that
+    // are not its ancestors.
+    Sentence.prototype.causedNonProjectivities = function(word) {
+        var words = this.words(),
+            headOf = {},
+            id = parseInt(word.id, 10),
+            head = parseInt(word.head, 10),
+            ancestors = {},
+            caused = [];
+
+        if (isNaN(head)) {
+            return [];
+        }
+        for (var i=0; i<words.length; i++) {
+            headOf[words[i].id] = parseInt(words[i].head, 10);
+        }
+        for (var a=head; a > 0 && !ancestors[a]; a=headOf[a]) {
+            ancestors[a] = true;
+        }
+        ancestors[0] = true;
+
+        for (var i=0; i<words.length; i++) {
+            var other = parseInt(words[i].id, 10),
+                otherHead = headOf[words[i].id];
+            if (other === id || isNaN(otherHead) || ancestors[otherHead]) {
+                continue;
+            }
+            if (other < id && (head < id ? other > head : true) &&
+                otherHead > id && (head > id ? otherHead < head : true)) {
+                caused.push(words[i].id);    // crosses from the left
+            } else if (other > id && (head > id ? other < head : true) &&
+                       otherHead < id &&
+                       (head < id ? otherHead > head : true)) {
+                caused.push(words[i].id);    // crosses from the right
+            }
+        }
+
+        return caused;
+    };
+
+    // Check that UPOSTAG and DEPREL of words are consistent.
+    // Words heading a "fixed" expression are exempt from the
+    // constraints marked fixed in relationUpos.
+    Sentence.prototype.validateUposDeprels = function(issues) {
+        issues = (issues !== undefined ? issues : []);
+
+        var initialIssueCount = issues.length,
+            words = this.words(),
+            fixedHeads = {};
+
+        for (var i=0; i<words.length; i++) {
+            if (baseDeprel(words[i].deprel) === 'fixed') {
+                fixedHeads[words[i].head] = true;
+            }
+        }
+
+        for (var i=0; i<words.length; i++) {
+            var word = words[i],
+                rel = baseDeprel(word.deprel),
+                constraint = relationUpos[rel];
+            if (word.upostag === '_') {
+                continue;
+            }
+            if (constraint !== undefined &&
+                !uposPermitted(constraint, word.upostag) &&
+                !(constraint.fixed && fixedHeads[word.id])) {
+                this.addError('rel-upos-'+rel, '"'+rel+'" must not be '+
+                              'UPOSTAG "'+word.upostag+'"', word, issues,
+                              'UPOSTAG');
+            }
+            if (word.upostag === 'PUNCT' && rel !== 'punct' &&
+                rel !== 'root' && rel !== '_') {
+                this.addError('upos-rel-punct', 'PUNCT must be attached '+
+                              'as "punct", not "'+word.deprel+'"', word,
+                              issues, 'DEPREL');
+            }
+        }
+
+        return issues.length === initialIssueCount;
+    };
+
+    // Attempt to repair a non-valid sentence. Return true iff the
+    // sentence has no errors following repair, false otherwise.
+    // Options are as for validate(); registered validators with a
+    // repair function are applied after the built-in repairs.
+    Sentence.prototype.repair = function(log, options) {
+        log = (log !== undefined ? log : nullLogger);
+
+        if (!this.validateUniqueIds()) {
+            this.repairUniqueIds(log);
+        }
+
+        if (!this.validateWordSequence()) {
+            this.repairWordSequence(log);
+        }
+
+        if (!this.validateMultiwordSequence()) {
+            this.repairMultiwordSequence(log);
+        }
+
+        if (!this.validateEmptyNodeSequence()) {
+            this.repairEmptyNodeSequence(log);
+        }
+
+        if (!this.validateReferences()) {
+            this.repairReferences(log);
+        }
+
+        if (!this.validateHeadTargets()) {
+            this.repairHeadTargets(log);
+        }
+
+        if (!this.validateCycles()) {
+            this.repairCycles(log);
+        }
+
+        if (!this.validateReachability()) {
+            this.repairReachability(log);
+        }
+
+        if (!this.validateRoots()) {
+            this.repairRoots(log);
+        }
+
+        if (!this.validateRootDeprel()) {
+            this.repairRootDeprel(log);
+        }
+
+        if (!this.validateEnhancedReachability()) {
+            this.repairEnhancedReachability(log);
+        }
+
+        runRepairs('sentence', this, log, options);
+
+        var issues = this.validate(options);
+        return !hasErrors(issues);
+    };
+
+    Sentence.prototype.repairUniqueIds = function(log) {
+        log = (log !== undefined ? log : nullLogger);
+
+        var elementById = {},
+            filtered = [];
+
+        for (var i=0; i<this.elements.length; i++) {
+            var element = this.elements[i];
+            if (elementById[element.id] === undefined) {
+                elementById[element.id] = element;
+                filtered.push(element);
+            } else {
+                log('repair: remove element with duplicate ID "'+element.id+'"');
+            }
+        }
+        this.elements = filtered;
+    
+        return true;
+    };
+
+    Sentence.prototype.repairWordSequence = function(log) {
+        return this.renumber(log);
+    };
+
+    // Place each multiword token before the first word in its range,
+    // dropping tokens with ranges that include missing words or
+    // overlap the range of a preceding token.
+    Sentence.prototype.repairMultiwordSequence = function(log) {
+        log = (log !== undefined ? log : nullLogger);
+
+        var elementById = this.elementById(),
+            multiwords = this.multiwords(),
+            multiwordAt = {},
+            covered = {};
+
+        multiwords.sort(function(a, b) {
+            return a.rangeFrom() - b.rangeFrom();
+        });
+        for (var i=0; i<multiwords.length; i++) {
+            var mw = multiwords[i],
+                valid = mw.rangeFrom() <= mw.rangeTo();
+            for (var j=mw.rangeFrom(); valid && j<=mw.rangeTo(); j++) {
+                valid = (elementById[j] !== undefined && !covered[j]);
+            }
+            if (!valid) {
+                log('repair: removing multiword token with invalid range "'+
+                    mw.id+'"');
+                continue;
+            }
+            for (var j=mw.rangeFrom(); j<=mw.rangeTo(); j++) {
+                covered[j] = true;
+            }
+            multiwordAt[mw.rangeFrom()] = mw;
+        }
+
+        var elements = [];
+        for (var i=0; i<this.elements.length; i++) {
+            var element = this.elements[i];
+            if (element.isMultiword()) {
+                continue;
+            }
+            var mw = multiwordAt[element.id];
+            if (element.isWord() && mw !== undefined) {
+                if (this.elements[i-1] !== mw) {
+                    log('repair: moving multiword token "'+mw.id+'" '+
+                        'before word "'+element.id+'"');
+                }
+                elements.push(mw);
+            }
+            elements.push(element);
+        }
+        this.elements = elements;
+
+        return true;
+    };
+
+    Sentence.prototype.repairEmptyNodeSequence = function(log) {
+        return this.renumber(log);
+    };
+
+    // Renumber elements by position: words as 1, 2, 3, ..., empty
+    // nodes as N.1, N.2, ... following word N (0 before the first
+    // word), and multiword tokens to range over the same words as
+    // before. References in HEAD and DEPS are rewritten to match.
+    Sentence.prototype.renumber = function(log) {
+        log = (log !== undefined ? log : nullLogger);
+
+        var references = captureReferences(this);
+        assignIds(this, log);
+        restoreReferences(this, references, log);
+
+        return true;
+    };
+
+    /*
+     * Sentence editing. Nodes are identified by ID as for tree
+     * navigation. After each edit, IDs are renumbered as by
+     * renumber() and HEAD, DEPS and multiword token ranges are
+     * updated to refer to the same elements as before the edit.
+     * Methods return null (or false) if the edit is not possible.
+     */
+
+    // Insert a new word after the given word (after its empty nodes,
+    // if any), or at the start of the sentence if afterId is "0".
+    // Properties give the fields of the new word (default "_"), with
+    // HEAD and DEPS referring to IDs before the insertion; DEPS
+    // defaults to HEAD:DEPREL if the sentence has an enhanced graph.
+    // Words cannot be inserted inside a multiword token, i.e. after
+    // any but its last word. Return the new word.
+    Sentence.prototype.insertWord = function(afterId, properties) {
+        var elementById = this.elementById(),
+            position = this.insertPosition(nodeId(afterId)),
+            multiword = this.multiwordFor(afterId);
+
+        if (position === null || (multiword !== null &&
+                                  multiword.rangeTo() !==
+                                  parseInt(nodeId(afterId), 10))) {
+            return null;
+        }
+
+        var word = newWord(derivedDepsProperties(this, properties)),
+            references = captureReferences(this);
+        references.push(elementReference(word, elementById));
+
+        this.elements.splice(position, 0, word);
+        assignIds(this);
+        restoreReferences(this, references);
+
+        return word;
+    };
+
+    // Delete the given word. Its dependents are attached to its head;
+    // if it was the root, its first dependent becomes the root and
+    // the others are attached to that. Enhanced dependents are
+    // likewise attached to its enhanced heads, or to the new root.
+    // Multiword tokens are shrunk to exclude the word, and dissolved
+    // if fewer than two words remain. Return the deleted word.
+    Sentence.prototype.deleteWord = function(id) {
+        var word = this.elementById()[nodeId(id)];
+
+        if (word === undefined || !word.isWord()) {
+            return null;
+        }
+
+        var references = captureReferences(this),
+            reference = referenceFor(references, word),
+            newHead = reference.head,
+            dependents = references.filter(function(r) {
+                return r.head === word;
+            });
+
+        var newRoot = null;
+        if (newHead === '0' && dependents.length !== 0) {
+            newRoot = dependents.shift();
+            newRoot.head = '0';
+            newRoot.element.deprel = 'root';
+            newHead = newRoot.element;
+        }
+        for (var i=0; i<dependents.length; i++) {
+            dependents[i].head = newHead;
+        }
+        for (var i=0; i<references.length; i++) {
+            var deps = [];
+            for (var j=0; j<references[i].deps.length; j++) {
+                var dep = references[i].deps[j];
+                if (dep[0] !== word) {
+                    deps.push(dep);
+                } else if (newRoot !== null && references[i] !== newRoot) {
+                    deps.push([newRoot.element, dep[1]]);
+                } else {
+                    for (var k=0; k<reference.deps.length; k++) {
+                        var head = reference.deps[k][0];
+                        if (head !== references[i].element) {
+                            deps.push([head, references[i] === newRoot ?
+                                       reference.deps[k][1] : dep[1]]);
+                        }
+                    }
+                }
+            }
+            references[i].deps = deps;
+        }
+
+        this.removeFromRanges(references, word);
+        this.elements.splice(this.elements.indexOf(word), 1);
+        assignIds(this);
+        restoreReferences(this, references);
+
+        return word;
+    };
+
+    // Split the given word into two: the word keeps its annotation
+    // with form firstForm and is followed by a new word with form
+    // secondForm, attached to the first as "dep" unless properties
+    // (as for insertWord(), including the default DEPS) say
+    // otherwise. If the word ends a multiword token, the token is
+    // extended to cover the new word. Otherwise the spacing after the
+    // word (SpaceAfter and SpacesAfter in MISC) moves to the new word
+    // and the first gets SpaceAfter=No, keeping the sentence text.
+    // Return the new word.
+    Sentence.prototype.splitWord = function(id, firstForm, secondForm,
+                                            properties) {
+        var word = this.elementById()[nodeId(id)];
+
+        if (word === undefined || !word.isWord()) {
+            return null;
+        }
+
+        properties = shallowCopy(properties !== undefined ? properties : {});
+        properties.form = secondForm;
+        if (properties.head === undefined) {
+            properties.head = word.id;
+            properties.deprel = (properties.deprel !== undefined ?
+                                 properties.deprel : 'dep');
+        }
+
+        var elementById = this.elementById(),
+            references = captureReferences(this),
+            second = newWord(derivedDepsProperties(this, properties));
+        references.push(elementReference(second, elementById));
+
+        for (var i=0; i<references.length; i++) {
+            var range = references[i].range;
+            if (range !== null && range[1] === word) {
+                range[1] = second;
+            }
+        }
+
+        if (this.multiwordFor(word) === null) {
+            var spacing = ['SpaceAfter', 'SpacesAfter'];
+            for (var i=0; i<spacing.length; i++) {
+                var value = word.getMisc(spacing[i]);
+                if (value !== null) {
+                    second.setMisc(spacing[i], value);
+                    word.deleteMisc(spacing[i]);
+                }
+            }
+            word.setSpaceAfter(false);
+        }
+
+        word.form = firstForm;
+        this.elements.splice(this.insertPosition(word.id), 0, second);
+        assignIds(this);
+        restoreReferences(this, references);
+
+        return second;
+    };
+
+    // Merge the given adjacent words into one with their forms
+    // joined. The merged word keeps the annotation of the word that
+    // heads the other, or else of the first, and takes the
+    // dependents of both. The words must be in the same multiword
+    // token or in none; a token consisting of just these words is
+    // dissolved, and its form used for the merged word. Return the
+    // merged word.
+    Sentence.prototype.mergeWords = function(firstId, secondId) {
+        var elementById = this.elementById(),
+            first = elementById[nodeId(firstId)],
+            second = elementById[nodeId(secondId)];
+
+        if (first === undefined || second === undefined ||
+            !first.isWord() || !second.isWord() ||
+            parseInt(second.id, 10) !== parseInt(first.id, 10) + 1) {
+            return null;
+        }
+
+        var multiword = this.multiwordFor(first);
+        if (multiword !== this.multiwordFor(second)) {
+            return null;
+        }
+
+        var kept = (first.head === second.id ? second : first),
+            removed = (kept === first ? second : first),
+            form = first.form + second.form;
+        var references = captureReferences(this),
+            keptReference = referenceFor(references, kept),
+            removedReference = referenceFor(references, removed);
+
+        for (var i=0; i<references.length; i++) {
+            var reference = references[i];
+            if (reference.head === removed) {
+                reference.head = (reference === keptReference ?
+                                  removedReference.head : kept);
+            }
+            for (var j=0; j<reference.deps.length; j++) {
+                if (reference.deps[j][0] === removed) {
+                    reference.deps[j][0] = kept;
+                }
+            }
+        }
+        keptReference.deps = keptReference.deps.filter(function(d) {
+            return d[0] !== kept;
+        });
+
+        if (multiword !== null &&
+            multiword.rangeTo() - multiword.rangeFrom() === 1) {
+            form = multiword.form;
+            this.elements.splice(this.elements.indexOf(multiword), 1);
+        } else {
+            this.removeFromRanges(references, removed);
+        }
+
+        // the merged word takes the place of the first
+        var firstIndex = this.elements.indexOf(first);
+        this.elements.splice(this.elements.indexOf(second), 1);
+        this.elements[firstIndex] = kept;
+        kept.form = form;
+        assignIds(this);
+        restoreReferences(this, references);
+
+        return kept;
+    };
+
+    // Create a multiword token with the given form covering the given
+    // range of words, which must not overlap existing multiword
+    // tokens. Return the new token.
+    Sentence.prototype.createMultiword = function(fromId, toId, form) {
+        var elementById = this.elementById(),
+            from = parseInt(nodeId(fromId), 10),
+            to = parseInt(nodeId(toId), 10);
+
+        if (!(from < to)) {
+            return null;
+        }
+        for (var i=from; i<=to; i++) {
+            if (elementById[i] === undefined || !elementById[i].isWord() ||
+                this.multiwordFor(elementById[i]) !== null) {
+                return null;
+            }
+        }
+
+        var multiword = new Element([from+'-'+to, form, '_', '_', '_', '_',
+                                     '_', '_', '_', '_']);
+        this.elements.splice(this.elements.indexOf(elementById[from]), 0,
+                             multiword);
+
+        return multiword;
+    };
+
+    // Remove the given multiword token, keeping its words. Return
+    // true iff the token was found.
+    Sentence.prototype.dissolveMultiword = function(id) {
+        var multiword = this.elementById()[nodeId(id)];
+
+        if (multiword === undefined || !multiword.isMultiword()) {
+            return false;
+        }
+        this.elements.splice(this.elements.indexOf(multiword), 1);
+
+        return true;
+    };
+
+    // Return the multiword token including the given word, or null
+    // if none.
+    Sentence.prototype.multiwordFor = function(word) {
+        var id = parseInt(nodeId(word), 10),
+            multiwords = this.multiwords();
+
+        for (var i=0; i<multiwords.length; i++) {
+            if (multiwords[i].rangeFrom() <= id &&
+                id <= multiwords[i].rangeTo()) {
+                return multiwords[i];
+            }
+        }
+        return null;
+    };
+
+    // Return the position in elements for inserting a word after the
+    // given word and its empty nodes ("0" for the start), or null if
+    // there is no such word.
+    Sentence.prototype.insertPosition = function(afterId) {
+        if (afterId === '0') {
+            for (var i=0; i<this.elements.length; i++) {
+                if (!this.elements[i].isEmptyNode()) {
+                    return i;
+                }
+            }
+            return this.elements.length;
+        }
+
+        var word = this.elementById()[afterId];
+        if (word === undefined || !word.isWord()) {
+            return null;
+        }
+        var position = this.elements.indexOf(word) + 1;
+        while (position < this.elements.length &&
+               this.elements[position].isEmptyNode()) {
+            position++;
+        }
+
+        return position;
+    };
+
+    // Update captured multiword token ranges to exclude the given
+    // word, removing tokens left with fewer than two words.
+    Sentence.prototype.removeFromRanges = function(references, word) {
+        for (var i=0; i<references.length; i++) {
+            var reference = references[i],
+                range = reference.range;
+            if (range === null || typeof range[0] !== 'object' ||
+                typeof range[1] !== 'object' ||
+                parseInt(range[0].id, 10) > parseInt(word.id, 10) ||
+                parseInt(range[1].id, 10) < parseInt(word.id, 10)) {
+                continue;
+            }
+            var from = parseInt(range[0].id, 10),
+                to = parseInt(range[1].id, 10),
+                elementById = this.elementById();
+            if (to - from < 2) {
+                this.elements.splice(this.elements.indexOf(reference.element),
+                                     1);
+            } else if (range[0] === word) {
+                range[0] = elementById[from+1];
+            } else if (range[1] === word) {
+                range[1] = elementById[to-1];
+            }
+        }
+    };
+
+    Sentence.prototype.repairReferences = function(log) {
+        log = (log !== undefined ? log : nullLogger);
+
+        var elementById = this.elementById();
+
+        for (var i=0; i<this.elements.length; i++) {
+            var element = this.elements[i];
+
+            // repair HEAD if not valid
+            if (!element.validHeadReference(elementById)) {
+                log('repair: blanking invalid HEAD');
+                element.head = null;
+            }
+
+            // repair DEPS if not valid
+            if (element.deps === '_') {
+                continue;
+            }
+            var deparr = element.deps.split('|'),
+                filtered = [];
+            for (var j=0; j<deparr.length; j++) {
+                var dep = deparr[j];
+                var m = dep.match(dependencyRegex);
+                if (m) {
+                    var head = m[1], deprel = m[2];
+                    if (head === '0' || elementById[head] !== undefined) {
+                        filtered.push(dep);
+                    } else {
+                        log('repair: removing invalid ID from DEPS');
+                        error = true;
+                    }
+                } else {
+                    console.log('internal error: repairReferences(): ' +
+                                'invalid DEPS');
+                }
+            }
+            if (filtered.length === 0) {
+                element.deps = '_';
+            } else {
+                element.deps = filtered.join('|');
+            }
+        }
+        return true;
+    };
+
+    Sentence.prototype.repairHeadTargets = function(log) {
+        log = (log !== undefined ? log : nullLogger);
+
+        var elementById = this.elementById();
+
+        for (var i=0; i<this.elements.length; i++) {
+            var element = this.elements[i],
+                head = elementById[element.head];
+            if (head !== undefined && !head.isWord()) {
+                log('repair: blanking HEAD referring to non-word "'+
+                    element.head+'"');
+                element.head = null;
+            }
+        }
+        return true;
+    };
+
+    // Break each cycle by attaching its first word to the root word,
+    // or making it the root if there is none.
+    Sentence.prototype.repairCycles = function(log) {
+        log = (log !== undefined ? log : nullLogger);
+
+        var elementById = this.elementById();
+        var structure = headStructure(this),
+            cycles = structure.cycles,
+            root = (structure.roots.length !== 0 ? structure.roots[0] : null);
+
+        for (var i=0; i<cycles.length; i++) {
+            var first = this.inSurfaceOrder(cycles[i])[0];
+            if (root !== null) {
+                log('repair: attaching word "'+first.id+'" in cycle to '+
+                    'root "'+root+'"');
+                first.head = root;
+                if (isRootDeprel(first.deprel)) {
+                    first.deprel = 'dep';
+                }
+            } else {
+                log('repair: making word "'+first.id+'" in cycle the root');
+                first.head = '0';
+                first.deprel = 'root';
+                root = first.id;
+            }
+        }
+        return true;
+    };
+
+    // Break cycles (see repairCycles()) and attach words with a null
+    // HEAD to the root word, making the first of them the root if
+    // there is none. Words attached to these become reachable.
+    Sentence.prototype.repairReachability = function(log) {
+        log = (log !== undefined ? log : nullLogger);
+
+        this.repairCycles(log);
+
+        var structure = headStructure(this),
+            root = (structure.roots.length !== 0 ? structure.roots[0] : null),
+            words = this.words();
+
+        for (var i=0; i<words.length; i++) {
+            var word = words[i];
+            if (word.head !== null) {
+                continue;
+            }
+            if (root !== null) {
+                log('repair: attaching word "'+word.id+'" without HEAD '+
+                    'to root "'+root+'"');
+                word.head = root;
+                if (word.deprel === null || isRootDeprel(word.deprel)) {
+                    word.deprel = 'dep';
+                }
+            } else {
+                log('repair: making word "'+word.id+'" without HEAD '+
+                    'the root');
+                word.head = '0';
+                word.deprel = 'root';
+                root = word.id;
+            }
+        }
+        return true;
+    };
+
+    // Make the sentence have exactly one root, either by making the
+    // top of the first unattached chain of words the root, or by
+    // attaching extra roots to the first one.
+    Sentence.prototype.repairRoots = function(log) {
+        log = (log !== undefined ? log : nullLogger);
+
+        var structure = headStructure(this),
+            elementById = this.elementById();
+
+        if (structure.roots.length === 0 && structure.attached.length !== 0) {
+            var words = this.words(),
+                root = words[0];
+            for (var i=0; i<words.length; i++) {
+                if (words[i].head === null) {
+                    root = words[i];
+                    break;
+                }
+            }
+            log('repair: making word "'+root.id+'" the root');
+            root.head = '0';
+            root.deprel = 'root';
+        }
+        for (var i=1; i<structure.roots.length; i++) {
+            var extra = elementById[structure.roots[i]];
+            log('repair: attaching extra root "'+extra.id+'" to "'+
+                structure.roots[0]+'"');
+            extra.head = structure.roots[0];
+            if (isRootDeprel(extra.deprel)) {
+                extra.deprel = 'dep';
+            }
+        }
+        return true;
+    };
+
+    Sentence.prototype.repairRootDeprel = function(log) {
+        log = (log !== undefined ? log : nullLogger);
+
+        var words = this.words();
+
+        for (var i=0; i<words.length; i++) {
+            var word = words[i];
+            if (word.head === '0' && !isRootDeprel(word.deprel)) {
+                log('repair: setting DEPREL of word "'+word.id+'" with '+
+                    'HEAD 0 to "root"');
+                word.deprel = 'root';
+            } else if (word.head !== '0' && word.head !== null &&
+                       isRootDeprel(word.deprel)) {
+                log('repair: setting DEPREL "root" of word "'+word.id+
+                    '" with non-zero HEAD to "dep"');
+                word.deprel = 'dep';
+            }
+        }
+        return true;
+    };
+
+    // Make nodes unreachable in the enhanced graph reachable by adding
+    // the basic relation of words to DEPS, and attaching empty nodes
+    // to the word they follow as "dep" (or the root if none).
+    Sentence.prototype.repairEnhancedReachability = function(log) {
+        log = (log !== undefined ? log : nullLogger);
+
+        var nodes = this.words(true);
+
+        for (var i=0; i<nodes.length; i++) {
+            var found = reachable(edgeIndex(this, true).dependents, '0');
+            var node = nodes[i];
+            if (found.indexOf(node.id) !== -1) {
+                continue;
+            }
+            if (node.isWord() && node.head !== null && node.head !== '_') {
+                log('repair: adding basic relation of "'+node.id+
+                    '" to DEPS');
+                node.addDep(node.head, node.deprel);
+            } else if (node.isEmptyNode()) {
+                var head = node.id.split('.')[0];
+                log('repair: attaching empty node "'+node.id+'" to "'+
+                    head+'" in DEPS');
+                node.addDep(head, head === '0' ? 'root' : 'dep');
+            }
+        }
+
+        return this.validateEnhancedReachability();
+    };
+
+    // Replace "# text" with the text reconstructed from the forms (see
+    // text()). Not done in repair(), as a mismatch may be evidence of
+    // corrupted tokenization that should be kept.
+    Sentence.prototype.repairText = function(log) {
+        log = (log !== undefined ? log : nullLogger);
+
+        log('repair: replacing "# text" with text reconstructed '+
+            'from forms');
+        this.setMetadata('text', this.text());
+        return true;
+    };
+
+    /*
+     * ConllU.Element: represents CoNLL-U word or multiword token
+     */
+
+    // represents CoNLL-U word or multiword token
+    var Element = function(fields, lineidx, line) {
+        this.id = fields[0];
+        this.form = fields[1];
+        this.lemma = fields[2];
+        this.upostag = fields[3];
+        this.xpostag = fields[4];
+        this.feats = fields[5];
+        this.head = fields[6];
+        this.deprel = fields[7];
+        this.deps = fields[8];
+        this.misc = fields[9];
+        this.extra = {};    // CoNLL-U Plus columns by name
+        this.lineidx = lineidx;
+        this.line = line;
+    };
+
+    // Return the value of the named column, either a standard CoNLL-U
+    // column (e.g. "UPOS") or an extra CoNLL-U Plus column ("_" if not
+    // set).
+    Element.prototype.getColumn = function(name) {
+        var property = standardColumns[name];
+
+        if (property !== undefined) {
+            return this[property];
+        }
+        return this.extra.hasOwnProperty(name) ? this.extra[name] : '_';
+    };
+
+    // Set the value of the named column (see getColumn()).
+    Element.prototype.setColumn = function(name, value) {
+        var property = standardColumns[name];
+
+        if (property !== undefined) {
+            this[property] = value;
+        } else {
+            this.extra[name] = value;
+        }
+    };
+
+    // Return an error Issue with the given code and message
+    // concerning this element (and optionally the given field).
+    Element.prototype.issue = function(code, message, field) {
+        return new Issue(code, message, {
+            line: (this.lineidx !== undefined ? this.lineidx+1 : null),
+            field: field,
+            elementId: this.id
+        });
+    };
+
+    // constraints that hold for all fields
+    Element.prototype.validateField = function(field, name, issues,
+                                               allowSpace) {
+        name = (name !== undefined ? name : 'field');
+        issues = (issues !== undefined ? issues : []);
+        if (allowSpace === undefined) {
+            allowSpace = false;
+        }
+
+        if (field === undefined) {
+            issues.push(this.issue('missing-column', 'invalid '+name, name));
+            return false;
+        } else if (field.length === 0) {
+            issues.push(this.issue('empty-column',
+                                   name+' must not be empty: "'+field+'"',
+                                   name));
+            return false;
+        } else if (hasSpace(field) && !allowSpace) {
+            issues.push(this.issue('invalid-whitespace',
+                                   name+' must not contain space: "'+
+                                   field+'"', name));
+            return false;
+        } else {
+            return true;
+        }
+    };
+
+    Element.prototype.validateId = function(id, issues) {
+        issues = (issues !== undefined ? issues : []);
+        
+        if (!this.validateField(id, 'ID', issues)) {
+            return false;
+        } else if (id.match(/^\d+$/)) {
+            if (id === '0') {
+                issues.push(this.issue('invalid-word-id',
+                                       'ID indices must start from 1: "'+
+                                       id+'"', 'ID'));
+                return false;
+            } else {
+                return true;
+            }
+        } else if (id.match(/^(\d+)-(\d+)$/)) {
+            m = id.match(/^(\d+)-(\d+)$/);
+            if (!m) {
+                console.log('internal error');
+                return false;
+            }
+            var start = parseInt(m[1], 10), 
+                end = parseInt(m[2], 10);
+            if (end < start) {
+                issues.push(this.issue('reversed-word-interval',
+                                       'ID ranges must have start <= end: "'+
+                                       id+'"', 'ID'));
+                return false;
+            } else {
+                return true;
+            }
+        } else if (id.match(/^(\d+)\.(\d+)$/)) {
+            m = id.match(/^(\d+)\.(\d+)$/);
+            if (!m) {
+                console.log('internal error');
+                return false;
+            }
+            var iPart = parseInt(m[1], 10),
+                fPart = parseInt(m[2], 10);
+            if (iPart == 0 || fPart == 0) {
+                issues.push(this.issue('invalid-word-id',
+                                       'ID indices must start from 1: "'+
+                                       id+'"', 'ID'));
+                return false;
+            } else {
+                return true;
+            }
+        } else {
+            issues.push(this.issue('invalid-word-id',
+                                   'ID must be integer, range, or '+
+                                   'decimal: "'+id+'"', 'ID'));
+            return false;
+        }
+    };
+
+    Element.prototype.validateForm = function(form, issues) {
+        issues = (issues !== undefined ? issues : []);
+        
+        if (!this.validateField(form, 'FORM', issues, true)) {
+            return false;
+        } else {
+            return true;
+        }
+    };
+
+    // Check that the given field (FORM or LEMMA) is in Unicode
+    // normalization form C and has no invisible characters: zero-width
+    // (other than joiners, which are needed in some scripts), control
+    // characters and non-breaking spaces.
+    Element.prototype.validateCharacters = function(field, name, issues) {
+        issues = (issues !== undefined ? issues : []);
+
+        if (typeof field !== 'string') {
+            return true;
+        }
+
+        var initialIssueCount = issues.length;
+        if (field.normalize !== undefined && field !== field.normalize()) {
+            issues.push(this.issue('unicode-normalization', name+' is not '+
+                                   'in Unicode normalization form C: "'+
+                                   field+'"', name));
+        }
+        if (zeroWidthRegex.test(field)) {
+            issues.push(this.issue('invisible-character', name+' contains '+
+                                   'zero-width characters: "'+field+'"',
+                                   name));
+        }
+        if (controlCharacterRegex.test(field)) {
+            issues.push(this.issue('control-character', name+' contains '+
+                                   'control characters', name));
+        }
+        if (nonBreakingSpaceRegex.test(field)) {
+            issues.push(this.issue('non-breaking-space', name+' contains '+
+                                   'non-breaking spaces: "'+field+'"',
+                                   name));
+        }
+        return issues.length === initialIssueCount;
+    };
+
+    // Normalize FORM and LEMMA to pass validateCharacters(): convert
+    // to Unicode normalization form C, remove zero-width and control
+    // characters, and replace non-breaking spaces with spaces. Return
+    // true if anything was changed, false otherwise.
+    Element.prototype.normalize = function() {
+        var form = normalizeCharacters(this.form);
+        var lemma = (this.isMultiword() ? this.lemma :
+                     normalizeCharacters(this.lemma));
+        var changed = form !== this.form || lemma !== this.lemma;
+
+        this.form = form;
+        this.lemma = lemma;
+
+        return changed;
+    };
+
+    Element.prototype.validateLemma = function(lemma, issues) {
+        issues = (issues !== undefined ? issues : []);
+        
+        if (!this.validateField(lemma, 'LEMMA', issues, true)) {
+            return false;
+        } else {
+            return true;
+        }
+    };
+    
+    // Check UPOSTAG, also against the label inventory given by the
+    // validation options (see validate()), if any.
+    Element.prototype.validateUpostag = function(upostag, issues,
+                                                 options) {
+        issues = (issues !== undefined ? issues : []);
+
+        var inventory = languageInventory(options, 2);
+        
+        if (!this.validateField(upostag, 'UPOSTAG', issues)) {
+            return false;
+        } else if (inventory === null ||
+                   (this.isEmptyNode() && upostag === '_')) {
+            return true;
+        } else if (!inventory.upos.hasOwnProperty(upostag)) {
+            issues.push(this.issue('unknown-upos',
+                                   'unknown UPOSTAG: "'+upostag+'"',
+                                   'UPOSTAG'));
+            return false;
+        } else {
+            return true;
+        }
+    };
+
+    Element.prototype.validateXpostag = function(xpostag, issues) {
+        issues = (issues !== undefined ? issues : []);
+        
+        if (!this.validateField(xpostag, 'XPOSTAG', issues)) {
+            return false;
+        } else {
+            return true;
+        }
+    };
+
+    // Check FEATS, also against the label inventory given by the
+    // validation options (see validate()), if any.
+    Element.prototype.validateFeats = function(feats, issues, options) {
+        issues = (issues !== undefined ? issues : []);
+
+        var inventory = languageInventory(options, 4),
+            uposInventory = languageInventory(options, 5);
+        
+        if (!this.validateField(feats, 'FEATS', issues)) {
+            return false;
+        } else if (feats === '_') {
+            return true;
+        }
+        var initialIssueCount = issues.length;
+        var featarr = feats.split('|');
+        var featmap = {};
+        var prevName = null;
+        for (var i=0; i<featarr.length; i++) {
+            var feat = featarr[i];
+            var m = feat.match(featureRegex);
+            if (!m) {
+                // TODO more descriptive issue
+                issues.push(this.issue('invalid-feature',
+                                       'invalid FEATS entry: "'+feat+'"',
+                                       'FEATS'));
+                continue;
+            }
+            var name = m[1], valuestr = m[2];
+            if (prevName !== null && 
+                name.toLowerCase() < prevName.toLowerCase()) {
+                issues.push(this.issue('unsorted-features',
+                                       'features must be ordered '+
+                                       'alphabetically (case-insensitive): '+
+                                       '"'+name+'" < "'+prevName+'"',
+                                       'FEATS'));
+                noIssue = false;
+            }
+            prevName = name;
+            var values = valuestr.split(',');
+            var valuemap = {}, validValues = [];
+            for (var j=0; j<values.length; j++) {
+                var value = values[j];
+                var m = value.match(featureValueRegex);
+                if (!m) {
+                    issues.push(this.issue('invalid-feature-value',
+                                           'invalid FEATS value: "'+
+                                           value+'"', 'FEATS'));
+                    continue;
+                }
+                if (valuemap[value] !== undefined) {
+                    issues.push(this.issue('repeated-feature-value',
+                                           'duplicate feature value: "'+
+                                           value+'"', 'FEATS'));
+                    continue;
+                }
+                valuemap[value] = true;
+                validValues.push(value);
+            }
+            if (inventory !== null) {
+                this.validateFeatureInventory(name, validValues, issues,
+                                              inventory, uposInventory);
+            }
+            if (featmap[name] !== undefined) {
+                issues.push(this.issue('repeated-feature',
+                                       'duplicate feature name: "'+name+'"',
+                                       'FEATS'));
+                continue;
+            }
+            if (validValues.length !== 0) {
+                featmap[name] = validValues;
+            }
+        }
+        return issues.length === initialIssueCount;
+    };
+
+    // Check the feature with the given name and values against the
+    // given label inventory, and that it is permitted for UPOSTAG in
+    // the given UPOS inventory, if any.
+    Element.prototype.validateFeatureInventory = function(name, values,
+                                                          issues, inventory,
+                                                          uposInventory) {
+        var known = featureValues(inventory, name);
+
+        if (known === null) {
+            issues.push(this.issue('feature-unknown',
+                                   'unknown feature: "'+name+'"', 'FEATS'));
+            return false;
+        }
+        var initialIssueCount = issues.length;
+        for (var i=0; i<values.length; i++) {
+            if (!known.hasOwnProperty(values[i])) {
+                issues.push(this.issue('feature-value-unknown',
+                                       'unknown value for feature "'+name+
+                                       '": "'+values[i]+'"', 'FEATS'));
+            }
+        }
+        if (uposInventory !== null &&
+            !featurePermitted(uposInventory, this.upostag, name)) {
+            issues.push(this.issue('feature-upos-not-permitted',
+                                   'feature "'+name+'" not permitted '+
+                                   'for UPOSTAG "'+this.upostag+'"',
+                                   'FEATS'));
+        }
+        return issues.length === initialIssueCount;
+    };
+
+    Element.prototype.validateHead = function(head, issues) {
+        issues = (issues !== undefined ? issues : []);
+
+        // note: checking that DEPREL is "root" iff HEAD is 0 requires
+        // the sentence (see Sentence.validateRootDeprel()).
+
+        if (head === null) {
+            return true; // exceptional case for Element.repair()
+        } else if (!this.validateField(head, 'HEAD', issues)) {
+            return false;
+        } else if (this.isEmptyNode() && head === '_') {
+            return true; // underscore permitted for empty nodes.
+        } else if (!head.match(/^\d+$/)) {
+            issues.push(this.issue('invalid-head',
+                                   'HEAD must be an ID or zero: "'+head+'"',
+                                   'HEAD'));
+            return false;
+        } else {
+            return true;
+        }
+    };
+
+    // Check DEPREL, also against the label inventory given by the
+    // validation options (see validate()), if any. Subtypes are only
+    // checked for languages that declare theirs.
+    Element.prototype.validateDeprel = function(deprel, issues, options) {
+        issues = (issues !== undefined ? issues : []);
+
+        var inventory = languageInventory(options, 2),
+            subtypes = languageInventory(options, 4);
+
+        if (!this.validateField(deprel, 'DEPREL', issues)) {
+            return false;
+        } else if (inventory === null ||
+                   (this.isEmptyNode() && deprel === '_')) {
+            return true;
+        }
+        var universal = deprel.split(':')[0];
+        if (!inventory.deprels.hasOwnProperty(universal)) {
+            issues.push(this.issue('unknown-deprel',
+                                   'unknown DEPREL: "'+deprel+'"',
+                                   'DEPREL'));
+            return false;
+        } else if (universal !== deprel && subtypes !== null &&
+                   subtypes.subtypes !== null &&
+                   !subtypes.subtypes.hasOwnProperty(deprel)) {
+            issues.push(this.issue('unknown-deprel',
+                                   'undeclared DEPREL subtype: "'+
+                                   deprel+'"', 'DEPREL'));
+            return false;
+        } else {
+            return true;
+        }
+    };
+
+    Element.prototype.validateDeps = function(deps, issues) {
+        issues = (issues !== undefined ? issues : []);
+
+        // TODO: consider checking that deprel is "root" iff head is 0.
+
+        if (!this.validateField(deps, 'DEPS', issues)) {
+            return false;
+        } else if (deps === '_') {
+            return true;
+        }
+        var deparr = deps.split('|');
+        var prevHead = null, seen = {};
+        // TODO: don't short-circuit on first error
+        for (var i=0; i<deparr.length; i++) {
+            var dep = deparr[i];
+            m = dep.match(/^(\d+(?:\.\d+)?):(\S+)$/);
+            if (!m) {
+                // TODO more descriptive issue
+                issues.push(this.issue('invalid-deps',
+                                       'invalid DEPS: "'+deps+'"', 'DEPS'));
+                return false;
+            }
+            var head = m[1], deprel = m[2];
+            if (prevHead !== null && compareNodeIds(head, prevHead) < 0) {
+                issues.push(this.issue('unsorted-deps',
+                                       'DEPS must be ordered by head index',
+                                       'DEPS'));
+                return false;
+            }
+            if (seen[dep]) {
+                issues.push(this.issue('repeated-deps',
+                                       'duplicate head and relation in '+
+                                       'DEPS: "'+dep+'"', 'DEPS'));
+                return false;
+            }
+            prevHead = head;
+            seen[dep] = true;
+        }
+        return true;
+    };
+
+    Element.prototype.validateMisc = function(misc, issues) {
+        issues = (issues !== undefined ? issues : []);
+
+        if (!this.validateField(misc, 'MISC', issues)) {
+            return false;
+        } else {
+            return true;
+        }
+    };
+
+    Element.prototype.validHeadReference = function(elementById) {
+        return (this.head === '_' || this.head === null || this.head === '0' ||
+                elementById[this.head] !== undefined);
+    };
+
+    Element.prototype.isWord = function() {
+        // word iff ID is an integer
+        return !!this.id.match(/^\d+$/);
+    };
+
+    Element.prototype.isMultiword = function() {
+        return !!this.id.match(/^\d+-\d+$/);
+    };
+
+    Element.prototype.isEmptyNode = function() {
+        return !!this.id.match(/^\d+\.\d+$/);
+    };
+
+    Element.prototype.rangeFrom = function() {
+        return parseInt(this.id.match(/^(\d+)-\d+$/)[1], 10);
+    };
+
+    Element.prototype.rangeTo = function() {
+        return parseInt(this.id.match(/^\d+-(\d+)$/)[1], 10);
+    };
+
+    Element.prototype.isToken = function(inRange) {
+        // token iff multiword or word not included in a multiword range
+        return (this.isMultiword() ||
+                (!this.isEmptyNode() && !inRange[this.id]));
+    };
+
+    // return list of (DEPENDENT, HEAD, DEPREL) lists
+    Element.prototype.dependencies = function(skipHead) {
+        skipHead = (skipHead !== undefined ? skipHead : false);
+
+        var elemDeps = [];
+        if (!skipHead && this.head !== '_' && this.head !== null) {
+            elemDeps.push([this.id, this.head, this.deprel]);
+        }
+        if (this.deps != '_') {
+            var deparr = this.deps.split('|');
+            for (var i=0; i<deparr.length; i++) {
+                var dep = deparr[i];
+                m = dep.match(dependencyRegex);
+                if (m) {
+                    elemDeps.push([this.id, m[1], m[2]]);
+                } else {
+                    console.log('internal error: dependencies(): invalid DEPS',
+                                this.deps);
+                }
+            }
+        }
+        return elemDeps;
+    }
+
+    // Return list of (HEAD, DEPREL) pairs in DEPS.
+    Element.prototype.enhancedDeps = function() {
+        return this.dependencies(true).map(function(d) {
+            return [d[1], d[2]];
+        });
+    };
+
+    // Add the given head and relation to DEPS, keeping it sorted by
+    // head. Return true if added, false if already present.
+    Element.prototype.addDep = function(head, deprel) {
+        var deps = this.enhancedDeps();
+
+        head = nodeId(head);
+        for (var i=0; i<deps.length; i++) {
+            if (deps[i][0] === head && deps[i][1] === deprel) {
+                return false;
+            }
+        }
+        deps.push([head, deprel]);
+        this.deps = depsString(deps);
+
+        return true;
+    };
+
+    // Remove the given head and relation from DEPS, or all relations
+    // to the head if deprel is not given. Return true if any were
+    // removed, false otherwise.
+    Element.prototype.removeDep = function(head, deprel) {
+        var deps = this.enhancedDeps();
+
+        head = nodeId(head);
+        var remaining = deps.filter(function(d) {
+            return d[0] !== head || (deprel !== undefined && d[1] !== deprel);
+        });
+        if (remaining.length === deps.length) {
+            return false;
+        }
+        this.deps = depsString(remaining);
+
+        return true;
+    };
+
+    // return list of (name, value) pairs
+    Element.prototype.features = function() {
+        var nameVals = [];
+        if (this.feats === '_') {
+            return [];
+        }
+        var featarr = this.feats.split('|');
+        for (var i=0; i<featarr.length; i++) {
+            var feat = featarr[i];
+            var m = feat.match(featureRegex);
+            if (!m) {
+                continue;
+            }
+            var name = m[1], valuestr = m[2];
+            var values = valuestr.split(',');
+            for (var j=0; j<values.length; j++) {
+                var value = values[j];
+                var m = value.match(featureValueRegex);
+                if (!m) {
+                    continue;
+                }
+                nameVals.push([name, value]);
+            }
+        }
+        return nameVals;
+    };
+
+    // Return FEATS as an object mapping feature names (including any
+    // layer, e.g. "Number[psor]") to lists of values, in FEATS order.
+    // Invalid entries are omitted.
+    Element.prototype.featureMap = function() {
+        var nameVals = this.features(),
+            map = {};
+
+        for (var i=0; i<nameVals.length; i++) {
+            var name = nameVals[i][0], value = nameVals[i][1];
+            if (map[name] === undefined) {
+                map[name] = [];
+            }
+            if (map[name].indexOf(value) === -1) {
+                map[name].push(value);
+            }
+        }
+
+        return map;
+    };
+
+    // Return the value of the named feature as in FEATS (e.g.
+    // "Fem,Masc"), or null if not set.
+    Element.prototype.getFeature = function(name) {
+        var map = this.featureMap();
+
+        return map[name] !== undefined ? map[name].join(',') : null;
+    };
+
+    // Set the named feature to the given value, either a string as in
+    // FEATS or a list of values, keeping FEATS canonical: sorted by
+    // name (case-insensitively), with values sorted and comma-joined.
+    // A null value removes the feature. Entries of other features that
+    // do not parse are kept as they are. Return true on success, false
+    // if the name or a value is not valid.
+    Element.prototype.setFeature = function(name, value) {
+        if (value === null || value === undefined) {
+            this.deleteFeature(name);
+            return true;
+        }
+
+        var values = (typeof value === 'string' ? value.split(',') : value);
+        if (!featureNameRegex.test(name) || values.length === 0 ||
+            !values.every(function(v) { return featureValueRegex.test(v); })) {
+            return false;
+        }
+
+        var map = this.featureMap();
+        map[name] = values.filter(function(v, i) {
+            return values.indexOf(v) === i;
+        });
+        this.feats = featsString(map, unparsedFeatures(this.feats, name));
+
+        return true;
+    };
+
+    // Remove the named feature. Return true if it was set, false
+    // otherwise.
+    Element.prototype.deleteFeature = function(name) {
+        var map = this.featureMap();
+
+        if (map[name] === undefined) {
+            return false;
+        }
+        delete map[name];
+        this.feats = featsString(map, unparsedFeatures(this.feats, name));
+
+        return true;
+    };
+
+    // Return list of (key, value) pairs in MISC, in order. The value
+    // is null for entries without "=".
+    Element.prototype.miscPairs = function() {
+        if (this.misc === '_' || this.misc === null) {
+            return [];
+        }
+
+        return this.misc.split('|').map(function(entry) {
+            var eq = entry.indexOf('=');
+            return (eq !== -1 ? [entry.substr(0, eq), entry.substr(eq+1)] :
+                    [entry, null]);
+        });
+    };
+
+    // Return MISC as an object mapping keys (e.g. "SpaceAfter",
+    // "Translit", "Gloss" or "Entity") to values, in MISC order.
+    Element.prototype.miscMap = function() {
+        var pairs = this.miscPairs(),
+            map = {};
+
+        for (var i=0; i<pairs.length; i++) {
+            if (map[pairs[i][0]] === undefined) {
+                map[pairs[i][0]] = pairs[i][1];
+            }
+        }
+
+        return map;
+    };
+
+    // Return the value of the given MISC key, or null if not set.
+    Element.prototype.getMisc = function(key) {
+        var pairs = this.miscPairs();
+
+        for (var i=0; i<pairs.length; i++) {
+            if (pairs[i][0] === key) {
+                return pairs[i][1];
+            }
+        }
+        return null;
+    };
+
+    // Set the given MISC key to the given value, replacing the
+    // current value in place or adding the key last. A null value
+    // removes the key. Return true on success, false if the key or
+    // value is not valid.
+    Element.prototype.setMisc = function(key, value) {
+        if (value === null || value === undefined) {
+            this.deleteMisc(key);
+            return true;
+        }
+
+        value = String(value);
+        if (key.length === 0 || /[|=\s]/.test(key) || /[|]/.test(value) ||
+            hasSpace(value)) {
+            return false;
+        }
+
+        var pairs = this.miscPairs(),
+            found = false;
+        for (var i=0; i<pairs.length; i++) {
+            if (pairs[i][0] === key) {
+                if (!found) {
+                    pairs[i][1] = value;
+                    found = true;
+                } else {
+                    pairs.splice(i--, 1);
+                }
+            }
+        }
+        if (!found) {
+            pairs.push([key, value]);
+        }
+        this.misc = miscString(pairs);
+
+        return true;
+    };
+
+    // Remove the given MISC key. Return true if it was set, false
+    // otherwise.
+    Element.prototype.deleteMisc = function(key) {
+        var pairs = this.miscPairs();
+        var remaining = pairs.filter(function(p) { return p[0] !== key; });
+
+        if (remaining.length === pairs.length) {
+            return false;
+        }
+        this.misc = miscString(remaining);
+
+        return true;
+    };
+
+    // Return the whitespace following the element as a token in the
+    // sentence text: the value of SpacesAfter in MISC (with escapes
+    // such as "\s" and "\n" decoded) if set, otherwise none if
+    // SpaceAfter=No, and a single space otherwise.
+    Element.prototype.spacesAfter = function() {
+        var spaces = this.getMisc('SpacesAfter');
+
+        if (spaces !== null) {
+            return spaces.replace(/\\(.)/g, function(m, c) {
+                return (spacesAfterEscapes.hasOwnProperty(c) ?
+                        spacesAfterEscapes[c] : c);
+            });
+        }
+        return this.spaceAfter() ? ' ' : '';
+    };
+
+    // Return false if MISC has SpaceAfter=No, true otherwise.
+    Element.prototype.spaceAfter = function() {
+        return this.getMisc('SpaceAfter') !== 'No';
+    };
+
+    // Set SpaceAfter=No in MISC if spaceAfter is false, remove it
+    // otherwise.
+    Element.prototype.setSpaceAfter = function(spaceAfter) {
+        this.setMisc('SpaceAfter', spaceAfter ? null : 'No');
+    };
+
+    // Return representation of element as a CoNLL-U line (without
+    // terminating newline), with the given columns (CoNLL-U Plus) or
+    // the standard ones. A HEAD blanked by repair() (null) is written
+    // as an underscore.
+    Element.prototype.toConllU = function(columns) {
+        columns = (columns ? columns : conllUColumns);
+
+        var fields = [];
+        for (var i=0; i<columns.length; i++) {
+            var value = this.getColumn(columns[i]);
+            fields.push(value === null ? '_' : value);
+        }
+
+        return fields.join('\t');
+    };
+
+    // Check validity of the element. Return list of Issues found in
+    // validation (empty list if none). Options (all optional):
+    // - language: code of language whose label inventory (see
+    //   registerLanguage()) UPOSTAG, FEATS and DEPREL are checked
+    //   against; "ud" for the universal inventory only.
+    // - level: validation level as in the UD validator (1: format,
+    //   2: UD-wide content, 3: UD-wide consistency, 4: language-specific
+    //   labels, 5: language-specific content). Levels 2 and up check
+    //   labels against the inventory of the language, or the universal
+    //   one if none is given.
+    // By default, format and UD-wide content are checked, and labels
+    // are checked against an inventory only if a language is given.
+    // Characters in FORM and LEMMA (see validateCharacters()) are
+    // only checked if a level is given.
+    Element.prototype.validate = function(options) {
+        var issues = [];
+
+        this.validateId(this.id, issues);
+        this.validateForm(this.form, issues);
+        if (hasLevel(options)) {
+            this.validateCharacters(this.form, 'FORM', issues);
+            if (!this.isMultiword()) {
+                this.validateCharacters(this.lemma, 'LEMMA', issues);
+            }
+        }
+        
+        // multiword tokens (elements with range IDs) are (locally) valid
+        // iff all remaining fields (3-10) contain just an underscore.
+        if (this.isMultiword()) {
+            if (this.lemma != '_' || 
+                this.upostag != '_' ||
+                this.xpostag != '_' ||
+                this.feats != '_' ||
+                this.head != '_' ||
+                this.deprel != '_' ||
+                this.deps != '_' ||
+                this.misc != '_') {
+                issues.push(this.issue('mwt-nonempty-field',
+                                       'non-underscore field for '+
+                                       'multiword token'));
+            }
+            runValidators('element', this, issues, options);
+            return issues;
+        }
+        // if we're here, not a multiword token.
+
+        this.validateLemma(this.lemma, issues);
+        this.validateUpostag(this.upostag, issues, options);
+        this.validateXpostag(this.xpostag, issues);
+        if (validationLevel(options, 2)) {
+            this.validateFeats(this.feats, issues, options);
+        } else {
+            this.validateField(this.feats, 'FEATS', issues);
+        }
+        this.validateHead(this.head, issues);
+        this.validateDeprel(this.deprel, issues, options);
+        if (validationLevel(options, 2)) {
+            this.validateDeps(this.deps, issues);
+        } else {
+            this.validateField(this.deps, 'DEPS', issues);
+        }
+        this.validateMisc(this.misc, issues);
+        runValidators('element', this, issues, options);
+
+        return issues;
+    };
+
+    // Attempt to repair a non-valid element. Return true iff the
+    // element has no errors following repair, false otherwise.
+    // Options are as for validate(); labels not in the inventory are
+    // replaced with "X" (UPOSTAG) and "dep" (DEPREL), features not in
+    // it are removed, and if a level is given, characters in FORM and
+    // LEMMA are normalized (see normalize()). Registered validators (see
+    // registerValidator()) with a repair function are also applied.
+    Element.prototype.repair = function(log, options) {
+        log = (log !== undefined ? log : nullLogger);
+
+        if (!this.validateId(this.id)) {
+            return false; // can't be helped
+        } 
+
+        // characters are only checked (and normalized) with a level
+        if (hasLevel(options) &&
+            (!this.validateCharacters(this.form, 'FORM') ||
+             !this.validateCharacters(this.lemma, 'LEMMA')) &&
+            this.normalize()) {
+            log('repair: normalizing characters in FORM and LEMMA');
+        }
+
+        if (!this.validateForm(this.form)) {
+            log('repair: blanking invalid FORM');
+            this.form = '<ERROR>';
+        }
+
+        if (this.isMultiword()) {
+            // valid as long as everything is blank
+            this.lemma = '_'; 
+            this.upostag = '_';
+            this.xpostag = '_';
+            this.feats = '_';
+            this.head = '_';
+            this.deprel = '_';
+            this.deps = '_';
+            this.misc = '_';
+            runRepairs('element', this, log, options);
+            return !hasErrors(this.validate(options));
+        }
+        // if we're here, not a multiword token.
+
+        if(!this.validateLemma(this.lemma)) {
+            log('repair: blanking invalid LEMMA');
+            this.lemma = '<ERROR>';
+        }
+
+        if(!this.validateUpostag(this.upostag, [], options)) {
+            if (this.validateField(this.upostag, 'UPOSTAG') &&
+                languageInventory(options, 2) !== null) {
+                log('repair: replacing invalid UPOSTAG with "X"');
+                this.upostag = 'X';
+            } else {
+                log('repair: blanking invalid UPOSTAG');
+                this.upostag = '_'; // TODO: not valid
+            }
+        }
+
+        if(!this.validateXpostag(this.xpostag)) {
+            log('repair: blanking invalid XPOSTAG');
+            this.xpostag = '_';
+        }
+
+        if(!this.validateFeats(this.feats, [], options) &&
+           languageInventory(options, 4) !== null) {
+            log('repair: removing features not in inventory');
+            this.feats = permittedFeatures(this, options);
+        }
+
+        if(!this.validateFeats(this.feats, [], options)) {
+            log('repair: blanking invalid FEATS');
+            this.feats = '_';
+        }
+
+        if(!this.validateHead(this.head)) {
+            log('repair: blanking invalid HEAD');
+            this.head = null; // note: exceptional case
+        }
+
+        if(!this.validateDeprel(this.deprel, [], options)) {
+            var universal = this.deprel.split(':')[0];
+            if (!this.validateField(this.deprel, 'DEPREL') ||
+                languageInventory(options, 2) === null) {
+                log('repair: blanking invalid DEPREL');
+                this.deprel = '_'; // TODO: not valid
+            } else if (universal !== this.deprel &&
+                       this.validateDeprel(universal, [], options)) {
+                log('repair: removing undeclared DEPREL subtype');
+                this.deprel = universal;
+            } else {
+                log('repair: replacing invalid DEPREL with "dep"');
+                this.deprel = 'dep';
+            }
+        }
+
+        if(!this.validateDeps(this.deps) && this.deps !== '_' &&
+           this.deps.split('|').every(function(d) {
+               return dependencyRegex.test(d);
+           })) {
+            log('repair: sorting DEPS and removing duplicates');
+            this.deps = depsString(this.enhancedDeps());
+        }
+
+        if(!this.validateDeps(this.deps)) {
+            log('repair: blanking invalid DEPS');
+            this.deps = '_';
+        }
+
+        if(!this.validateMisc(this.misc)) {
+            log('repair: blanking invalid MISC');
+            this.misc = '_';
+        }
+
+        runRepairs('element', this, log, options);
+
+        var issues = this.validate(options);
+        return !hasErrors(issues);
+    };
+
+    /*
+     * Support functions for dependency tree navigation.
+     */
+
+    // Return the ID of the given node (ID or Element) as a string.
+    var nodeId = function(node) {
+        return (node !== null && typeof node === 'object' ?
+                node.id : String(node));
+    };
+
+    // Return index of heads and dependents by node ID in the basic
+    // tree, or the enhanced graph if enhanced is truthy.
+    var edgeIndex = function(sentence, enhanced) {
+        var heads = {},
+            dependents = {},
+            edges = sentence.edges(enhanced);
+
+        for (var i=0; i<edges.length; i++) {
+            var dependent = edges[i][0], head = edges[i][1];
+            if (heads[dependent] === undefined) {
+                heads[dependent] = [];
+            }
+            if (dependents[head] === undefined) {
+                dependents[head] = [];
+            }
+            if (heads[dependent].indexOf(head) === -1) {
+                heads[dependent].push(head);
+                dependents[head].push(dependent);
+            }
+        }
+
+        return { heads: heads, dependents: dependents };
+    };
+
+    // Return the structure formed by the HEAD of words in the given
+    // sentence: lists of IDs of roots (HEAD 0), of attached words
+    // (HEAD referring to a word or 0), of cycles (each a list of IDs),
+    // and of words not in a cycle but attached to one or to a word
+    // with a null HEAD, including the latter (unreachable).
+    var headStructure = function(sentence) {
+        var words = sentence.words(),
+            headOf = {},
+            roots = [],
+            attached = [];
+
+        for (var i=0; i<words.length; i++) {
+            headOf[words[i].id] = words[i].head;
+        }
+        for (var i=0; i<words.length; i++) {
+            var head = words[i].head;
+            if (head === '0') {
+                roots.push(words[i].id);
+            }
+            if (head === '0' || headOf[head] !== undefined) {
+                attached.push(words[i].id);
+            }
+        }
+
+        // follow HEAD from each word until reaching a word whose
+        // status is known, or one on the current path (cycle).
+        var status = {},    // 'root', 'cycle', 'unattached' or 'unreachable'
+            onPath = {},
+            cycles = [],
+            unreachable = [];
+        for (var i=0; i<words.length; i++) {
+            var path = [],
+                current = words[i].id;
+            while (headOf[current] !== undefined &&
+                   status[current] === undefined && !onPath[current]) {
+                onPath[current] = true;
+                path.push(current);
+                current = headOf[current];
+            }
+            var end;
+            if (current === '0') {
+                end = 'root';
+            } else if (current === null) {
+                end = 'unreachable';    // HEAD blanked in repair
+            } else if (headOf[current] === undefined) {
+                end = 'unattached';
+            } else if (onPath[current]) {
+                var cycle = path.slice(path.indexOf(current));
+                for (var j=0; j<cycle.length; j++) {
+                    status[cycle[j]] = 'cycle';
+                }
+                cycles.push(cycle);
+                end = 'unreachable';
+            } else {
+                end = (status[current] === 'cycle' ?
+                       'unreachable' : status[current]);
+            }
+            for (var j=0; j<path.length; j++) {
+                onPath[path[j]] = false;
+                if (status[path[j]] === undefined) {
+                    status[path[j]] = end;
+                    if (end === 'unreachable') {
+                        unreachable.push(path[j]);
+                    }
+                }
+            }
+        }
+
+        return {
+            roots: roots,
+            attached: attached,
+            cycles: cycles,
+            unreachable: unreachable
+        };
+    };
+
+    // Assign IDs to elements in the given sentence by position (see
+    // Sentence.renumber()), leaving multiword token IDs unchanged.
+    var assignIds = function(sentence, log) {
+        log = (log !== undefined ? log : nullLogger);
+
+        var wordId = 0,
+            emptyNodeId = 0;
+
+        for (var i=0; i<sentence.elements.length; i++) {
+            var element = sentence.elements[i],
+                id = element.id;
+            if (element.isWord()) {
+                wordId++;
+                emptyNodeId = 0;
+                id = String(wordId);
+            } else if (element.isEmptyNode()) {
+                emptyNodeId++;
+                id = wordId + '.' + emptyNodeId;
+            }
+            if (id !== element.id) {
+                log('repair: renumbering "'+element.id+'" as "'+id+'"');
+                element.id = id;
+            }
+        }
+    };
+
+    // Return the given properties of a new word (see newWord()) in the
+    // given sentence, with DEPS set to HEAD:DEPREL if the sentence has
+    // an enhanced graph and DEPS is not given.
+    var derivedDepsProperties = function(sentence, properties) {
+        properties = (properties !== undefined ? properties : {});
+
+        if (!sentence.isEnhanced() || properties.deps !== undefined ||
+            properties.head === undefined || properties.head === '_' ||
+            properties.deprel === undefined) {
+            return properties;
+        }
+        properties = shallowCopy(properties);
+        properties.deps = properties.head + ':' + properties.deprel;
+
+        return properties;
+    };
+
+    // Return a new word Element with fields from the given
+    // properties, "_" for those not given.
+    var newWord = function(properties) {
+        properties = (properties !== undefined ? properties : {});
+
+        var names = ['form', 'lemma', 'upostag', 'xpostag', 'feats',
+                     'head', 'deprel', 'deps', 'misc'];
+        var fields = ['1'];
+        for (var i=0; i<names.length; i++) {
+            var value = properties[names[i]];
+            fields.push(value !== undefined ? String(value) : '_');
+        }
+
+        return new Element(fields);
+    };
+
+    // Return the references of elements in the given sentence to
+    // others (HEAD, DEPS and multiword token ranges) in terms of the
+    // Elements referred to, for restoreReferences() to rewrite after
+    // IDs change. References to IDs not in the sentence (including
+    // "0") are kept as they are.
+    var captureReferences = function(sentence) {
+        var elementById = sentence.elementById(),
+            references = [];
+
+        for (var i=0; i<sentence.elements.length; i++) {
+            references.push(elementReference(sentence.elements[i],
+                                             elementById));
+        }
+
+        return references;
+    };
+
+    // Return the references of the given element as for
+    // captureReferences(), resolving IDs using elementById.
+    var elementReference = function(element, elementById) {
+        var target = function(id) {
+            return (id !== null && elementById[id] !== undefined ?
+                    elementById[id] : id);
+        };
+
+        var reference = {
+            element: element,
+            head: target(element.head),
+            deps: [],
+            range: null
+        };
+        var elemDeps = element.dependencies(true);
+        for (var j=0; j<elemDeps.length; j++) {
+            reference.deps.push([target(elemDeps[j][1]), elemDeps[j][2]]);
+        }
+        if (element.isMultiword()) {
+            reference.range = [target(String(element.rangeFrom())),
+                               target(String(element.rangeTo()))];
+        }
+
+        return reference;
+    };
+
+    // Return the captured references of the given element.
+    var referenceFor = function(references, element) {
+        for (var i=0; i<references.length; i++) {
+            if (references[i].element === element) {
+                return references[i];
+            }
+        }
+        return null;
+    };
+
+    // Rewrite references captured by captureReferences() using the
+    // current IDs of the Elements referred to. References to
+    // Elements no longer in the sentence are blanked (HEAD), removed
+    // (DEPS) or left unchanged (multiword token ranges).
+    var restoreReferences = function(sentence, references, log) {
+        log = (log !== undefined ? log : nullLogger);
+
+        // Elements in the sentence by ID (lists, as IDs may repeat)
+        var present = {};
+        for (var i=0; i<sentence.elements.length; i++) {
+            var id = sentence.elements[i].id;
+            if (!present.hasOwnProperty(id)) {
+                present[id] = [];
+            }
+            present[id].push(sentence.elements[i]);
+        }
+
+        var isPresent = function(element) {
+            return (present.hasOwnProperty(element.id) &&
+                    present[element.id].indexOf(element) !== -1);
+        };
+
+        // return current ID of target, or null if no longer present
+        var currentId = function(target) {
+            if (target === null || typeof target !== 'object') {
+                return target;
+            }
+            return isPresent(target) ? target.id : null;
+        };
+
+        for (var i=0; i<references.length; i++) {
+            var reference = references[i],
+                element = reference.element;
+
+            if (!isPresent(element)) {
+                continue;
+            }
+
+            var head = currentId(reference.head);
+            if (head === null && element.head !== null) {
+                log('repair: blanking HEAD referring to removed element');
+            }
+            element.head = head;
+
+            var deps = [],
+                seen = {};
+            for (var j=0; j<reference.deps.length; j++) {
+                var depHead = currentId(reference.deps[j][0]),
+                    key = depHead + ':' + reference.deps[j][1];
+                if (depHead === null) {
+                    log('repair: removing DEPS referring to removed element');
+                } else if (seen[key]) {
+                    log('repair: removing duplicate DEPS "'+key+'"');
+                } else {
+                    deps.push([depHead, reference.deps[j][1]]);
+                    seen[key] = true;
+                }
+            }
+            element.deps = depsString(deps);
+
+            if (reference.range !== null) {
+                var from = currentId(reference.range[0]),
+                    to = currentId(reference.range[1]);
+                if (from !== null && to !== null &&
+                    element.id !== from + '-' + to) {
+                    log('repair: renumbering "'+element.id+'" as "'+
+                        from+'-'+to+'"');
+                    element.id = from + '-' + to;
+                }
+            }
+        }
+    };
+
+    // Return true iff the given DEPREL marks the root.
+    var isRootDeprel = function(deprel) {
+        return deprel.split(':')[0] === 'root';
+    };
+
+    // Return the universal part of the given DEPREL, without subtype.
+    var baseDeprel = function(deprel) {
+        return deprel.split(':')[0];
+    };
+
+    // Relations whose dependents must be leaves, with the relations
+    // permitted for dependents of these, and the issue code, following
+    // the UD validator. Function words can be coordinated, so "cc" is
+    // permitted under them, but not under "cc" itself.
+    var leafRelations = (function() {
+        var auxCop = ['goeswith', 'fixed', 'reparandum', 'conj', 'cc',
+                      'punct'],
+            markCase = ['advmod', 'obl'].concat(auxCop);
+        return {
+            aux: { code: 'leaf-aux-cop', permitted: auxCop },
+            cop: { code: 'leaf-aux-cop', permitted: auxCop },
+            mark: { code: 'leaf-mark-case', permitted: markCase },
+            'case': { code: 'leaf-mark-case', permitted: markCase },
+            cc: { code: 'leaf-cc',
+                  permitted: ['goeswith', 'fixed', 'reparandum', 'conj',
+                              'punct'] },
+            fixed: { code: 'leaf-fixed',
+                     permitted: ['goeswith', 'reparandum', 'conj',
+                                 'punct'] },
+            goeswith: { code: 'leaf-goeswith', permitted: [] },
+            punct: { code: 'leaf-punct', permitted: ['punct'] }
+        };
+    })();
+
+    // relations that must go from left to right
+    var leftToRightRelations = ['conj', 'fixed', 'flat', 'goeswith', 'appos'];
+
+    // UPOS permitted (or forbidden) for dependents of relations, as in
+    // the UD validator. Constraints marked fixed do not apply to words
+    // heading a "fixed" expression.
+    var relationUpos = {
+        punct: { permitted: ['PUNCT'] },
+        aux: { permitted: ['AUX'] },
+        cop: { permitted: ['AUX', 'PRON', 'DET', 'SYM'] },
+        det: { permitted: ['DET', 'PRON'], fixed: true },
+        nummod: { permitted: ['NUM', 'NOUN', 'SYM'] },
+        advmod: { permitted: ['ADV', 'ADJ', 'CCONJ', 'DET', 'PART', 'SYM'],
+                  fixed: true },
+        expl: { permitted: ['PRON', 'DET', 'PART'] },
+        'case': { forbidden: ['PROPN', 'ADJ', 'PRON', 'DET', 'NUM', 'AUX'],
+                  fixed: true },
+        mark: { forbidden: ['NOUN', 'PROPN', 'ADJ', 'PRON', 'DET', 'NUM',
+                            'VERB', 'AUX', 'INTJ'], fixed: true },
+        cc: { forbidden: ['NOUN', 'PROPN', 'ADJ', 'PRON', 'DET', 'NUM',
+                          'VERB', 'AUX', 'INTJ'], fixed: true }
+    };
+
+    // Return true iff the given UPOS satisfies the given constraint
+    // (see relationUpos).
+    var uposPermitted = function(constraint, upos) {
+        if (constraint.permitted !== undefined) {
+            return constraint.permitted.indexOf(upos) !== -1;
+        }
+        return constraint.forbidden.indexOf(upos) === -1;
+    };
+
+    // Return IDs of nodes reachable from the given one by following
+    // links (mapping from ID to list of IDs), in breadth-first order.
+    // Safe for cyclic graphs.
+    var reachable = function(links, start) {
+        var found = [],
+            visited = {},
+            queue = [start];
+
+        visited[start] = true;
+        for (var k=0; k<queue.length; k++) {
+            var next = links[queue[k]] || [];
+            for (var i=0; i<next.length; i++) {
+                if (!visited[next[i]]) {
+                    visited[next[i]] = true;
+                    found.push(next[i]);
+                    queue.push(next[i]);
+                }
+            }
+        }
+
+        return found;
+    };
+
+    /*
+     * ConllU.Issue: represents an issue found in validation
+     */
+
+    // Represents an issue with the given machine-readable code (e.g.
+    // "invalid-head") and human-readable message. Optional properties
+    // are severity ("error" (default) or "warning"), line (1-based
+    // line number), field (column name, e.g. "HEAD"), elementId and
+    // sentenceId; unknown values are null.
+    var Issue = function(code, message, properties) {
+        properties = (properties !== undefined ? properties : {});
+
+        this.code = code;
+        this.message = message;
+        this.severity = (properties.severity !== undefined ?
+                         properties.severity : 'error');
+        this.line = valueOrNull(properties.line);
+        this.field = valueOrNull(properties.field);
+        this.elementId = valueOrNull(properties.elementId);
+        this.sentenceId = valueOrNull(properties.sentenceId);
+    };
+
+    Issue.prototype.isError = function() {
+        return this.severity === 'error';
+    };
+
+    Issue.prototype.toString = function() {
+        var prefix = (this.line !== null ? 'line '+this.line+': ' : '');
+        return prefix + this.message;
+    };
+
+    /*
+     * Validator registry: checks run by validate() and repair() of
+     * elements, sentences and documents in addition to the built-in
+     * ones.
+     */
+
+    // registered validators in order of registration
+    var validators = [];
+
+    // Register a validator with the given issue code, replacing any
+    // previously registered one with the same code. The validator is
+    // an object with the following properties:
+    // - scope: "element", "sentence" or "document"
+    // - check: function(target, report, options) that checks the
+    //   Element, Sentence or Document and calls report(message,
+    //   target, field) for each issue found; target (an Element or
+    //   Sentence) and field are optional
+    // - severity: "error" (default) or "warning"
+    // - level: validation level to run the check at (see
+    //   Element.validate()); by default, it is run at all levels
+    // - repair: optional function(target, log) called by repair() if
+    //   the check reports issues
+    var registerValidator = function(code, validator) {
+        unregisterValidator(code);
+        validators.push({
+            code: code,
+            scope: validator.scope,
+            check: validator.check,
+            severity: (validator.severity !== undefined ?
+                       validator.severity : 'error'),
+            level: (validator.level !== undefined ? validator.level : 1),
+            repair: (validator.repair !== undefined ?
+                     validator.repair : null)
+        });
+    };
+
+    // Remove the validator with the given code. Return true if one
+    // was registered, false otherwise.
+    var unregisterValidator = function(code) {
+        for (var i=0; i<validators.length; i++) {
+            if (validators[i].code === code) {
+                validators.splice(i, 1);
+                return true;
+            }
+        }
+        return false;
+    };
+
+    // Return the registered validators for the given scope run with
+    // the given validation options.
+    var registeredValidators = function(scope, options) {
+        return validators.filter(function(v) {
+            return v.scope === scope && validationLevel(options, v.level);
+        });
+    };
+
+    // Run the given validator on the given target, adding Issues
+    // found to issues. Return true iff no issues were found.
+    var runValidator = function(validator, target, issues, options) {
+        var initialIssueCount = issues.length;
+
+        var report = function(message, subject, field) {
+            subject = (subject !== undefined && subject !== null ?
+                       subject : target);
+            var issue;
+            if (subject instanceof Element) {
+                issue = subject.issue(validator.code, message, field);
+            } else {
+                issue = new Issue(validator.code, message, {
+                    field: field,
+                    sentenceId: (subject instanceof Sentence ?
+                                 subject.id : undefined)
+                });
+            }
+            issue.severity = validator.severity;
+            issues.push(issue);
+        };
+        validator.check(target, report, options);
+
+        return issues.length === initialIssueCount;
+    };
+
+    // Run the registered validators for the given scope on the given
+    // target, adding Issues found to issues.
+    var runValidators = function(scope, target, issues, options) {
+        var scoped = registeredValidators(scope, options);
+
+        for (var i=0; i<scoped.length; i++) {
+            runValidator(scoped[i], target, issues, options);
+        }
+    };
+
+    // Run the repair of each registered validator for the given scope
+    // whose check reports issues for the given target.
+    var runRepairs = function(scope, target, log, options) {
+        var scoped = registeredValidators(scope, options);
+
+        for (var i=0; i<scoped.length; i++) {
+            if (scoped[i].repair !== null &&
+                !runValidator(scoped[i], target, [], options)) {
+                log('repair: '+scoped[i].code);
+                scoped[i].repair(target, log);
+            }
+        }
+    };
+
+    // Return true iff any of the given Issues is an error.
+    var hasErrors = function(issues) {
+        return issues.some(function(issue) { return issue.isError(); });
+    };
+
+    /*
+     * ConllU.Statistics: corpus statistics
+     */
+
+    // Accumulates statistics over sentences added with addSentence()
+    // or addDocument(), e.g. as they are emitted by a Parser.
+    var Statistics = function() {
+        this.reset();
+    };
+
+    Statistics.prototype.reset = function() {
+        this.sentences = 0;
+        this.tokens = 0;
+        this.words = 0;
+        this.multiwords = 0;
+        this.emptyNodes = 0;
+        this.upos = {};
+        this.deprels = {};
+        this.featureNames = {};
+        this.featureValues = {};
+        this.lemmas = {};
+        this.forms = {};
+        this.sentenceLengths = {};
+        this.arcs = 0;
+        this.nonProjectiveArcs = 0;
+    };
+
+    Statistics.prototype.addDocument = function(document) {
+        for (var i=0; i<document.sentences.length; i++) {
+            this.addSentence(document.sentences[i]);
+        }
+        return this;
+    };
+
+    Statistics.prototype.addSentence = function(sentence) {
+        var words = sentence.words();
+
+        this.sentences++;
+        this.tokens += sentence.tokens().filter(function(t) {
+            return !t.isEmptyNode();
+        }).length;
+        this.words += words.length;
+        this.multiwords += sentence.multiwords().length;
+        this.emptyNodes += sentence.words(true).length - words.length;
+        increment(this.sentenceLengths, words.length);
+
+        for (var i=0; i<words.length; i++) {
+            var word = words[i];
+            increment(this.upos, word.upostag);
+            increment(this.deprels, word.deprel);
+            increment(this.lemmas, word.lemma);
+            increment(this.forms, word.form);
+
+            var nameVals = word.features();
+            for (var j=0; j<nameVals.length; j++) {
+                // count multivalued features once per word
+                if (j === 0 || nameVals[j][0] !== nameVals[j-1][0]) {
+                    increment(this.featureNames, nameVals[j][0]);
+                }
+                increment(this.featureValues,
+                          nameVals[j][0] + '=' + nameVals[j][1]);
+            }
+        }
+
+        this.arcs += sentence.edges().filter(function(e) {
+            return e[1] !== '0';
+        }).length;
+        this.nonProjectiveArcs += sentence.nonProjective().length;
+
+        return this;
+    };
+
+    // Return the statistics as an object. Distributions map values
+    // to counts, with sentence lengths counted in words.
+    Statistics.prototype.result = function() {
+        return {
+            sentences: this.sentences,
+            tokens: this.tokens,
+            words: this.words,
+            multiwords: this.multiwords,
+            emptyNodes: this.emptyNodes,
+            upos: shallowCopy(this.upos),
+            deprels: shallowCopy(this.deprels),
+            featureNames: shallowCopy(this.featureNames),
+            featureValues: shallowCopy(this.featureValues),
+            lemmas: typeTokenCounts(this.lemmas),
+            forms: typeTokenCounts(this.forms),
+            sentenceLengths: shallowCopy(this.sentenceLengths),
+            nonProjective: {
+                arcs: this.arcs,
+                nonProjectiveArcs: this.nonProjectiveArcs,
+                rate: (this.arcs !== 0 ?
+                       this.nonProjectiveArcs / this.arcs : 0)
+            }
+        };
+    };
+
+    // Return statistics for the given Document or list of Sentences.
+    var statistics = function(source) {
+        var stats = new Statistics();
+
+        if (source instanceof Document) {
+            stats.addDocument(source);
+        } else {
+            for (var i=0; i<source.length; i++) {
+                stats.addSentence(source[i]);
+            }
+        }
+
+        return stats.result();
+    };
+
+    // Increment the count of the given key in counts.
+    var increment = function(counts, key) {
+        counts[key] = (counts.hasOwnProperty(key) ? counts[key] : 0) + 1;
+    };
+
+    // Return type and token counts for the given counts of values.
+    var typeTokenCounts = function(counts) {
+        var keys = Object.keys(counts),
+            tokens = 0;
+
+        for (var i=0; i<keys.length; i++) {
+            tokens += counts[keys[i]];
+        }
+
+        return { types: keys.length, tokens: tokens };
+    };
+
+    /*
+     * ConllU.Query: search for tree patterns in sentences
+     */
+
+    // Represents a tree query in a small pattern language similar to
+    // that of Grew (http://grew.fr). A query consists of a "pattern"
+    // clause and any number of "without" clauses, each a list of
+    // items separated by semicolons in curly brackets:
+    //
+    //   pattern { V [upos=VERB]; V -[obj]-> O; V -[nsubj]-> S; V << S }
+    //   without { O [lemma="it"|"that"] }
+    //
+    // Items are
+    // - node constraints "N [c1, c2, ...]", where each constraint is
+    //   "key=values", "key<>values" (or "!="), "key" (present) or
+    //   "!key" (absent); keys are form, lemma, upos, xpos, deprel,
+    //   feature names and MISC keys prefixed with "misc.", and values
+    //   are alternatives separated by "|", either words, quoted
+    //   strings or regular expressions (re"...") matching the whole
+    //   value. A multivalued feature matches if any of its values do,
+    //   or if its whole value does, given as in FEATS (e.g.
+    //   "Case=Acc,Dat", without spaces around the comma).
+    // - edges "N -> M" (any relation), "N -[rel1|rel2]-> M" and
+    //   "N -[^rel1|rel2]-> M" (other relations) in the basic tree, or
+    //   "N => M" and "N =[rel]=> M" in the enhanced graph. A relation
+    //   without a subtype also matches its subtypes.
+    // - word order constraints "N < M" (immediately precedes) and
+    //   "N << M" (precedes).
+    //
+    // Node names bind distinct words. A match of the pattern is
+    // discarded if some without clause can be matched by extending
+    // it.
+    var Query = function() {
+        this.reset();
+    };
+
+    Query.prototype.reset = function() {
+        this.pattern = null;
+        this.withouts = [];
+        this.error = false;
+        this.logger = nullLogger;
+    };
+
+    // Parse the given query, return Query. On syntax errors, log an
+    // error and set the error flag; the query then matches nothing.
+    Query.prototype.parse = function(source, logger) {
+        this.reset();
+
+        if (logger !== undefined) {
+            this.logger = logger;
+        }
+
+        try {
+            var tokens = new QueryTokens(tokenizeQuery(source));
+            while (!tokens.atEnd()) {
+                var keyword = tokens.next('word');
+                if (keyword.value === 'pattern' && this.pattern === null) {
+                    this.pattern = parseQueryClause(tokens);
+                } else if (keyword.value === 'without') {
+                    this.withouts.push(parseQueryClause(tokens));
+                } else {
+                    throw new QueryError('unexpected "'+keyword.value+'"',
+                                         keyword.offset);
+                }
+            }
+            if (this.pattern === null) {
+                throw new QueryError('missing pattern', source.length);
+            }
+        } catch (e) {
+            if (!(e instanceof QueryError)) {
+                throw e;
+            }
+            this.logger('error: query: '+e.message+' at offset '+e.offset);
+            this.error = true;
+            this.pattern = null;
+            this.withouts = [];
+        }
+
+        return this;
+    };
+
+    // Return list of matches of the query in the given Sentence, each
+    // an object mapping node names to Elements. If includeEmpty is
+    // truthy, nodes may also match empty nodes.
+    Query.prototype.match = function(sentence, includeEmpty) {
+        if (this.pattern === null) {
+            return [];
+        }
+
+        var context = queryContext(sentence, includeEmpty),
+            withouts = this.withouts,
+            matches = [];
+
+        matchQueryClause(this.pattern, context, {}, function(bindings) {
+            for (var i=0; i<withouts.length; i++) {
+                var found = false;
+                matchQueryClause(withouts[i], context, bindings, function() {
+                    found = true;
+                    return true; // stop
+                });
+                if (found) {
+                    return false;
+                }
+            }
+            matches.push(shallowCopy(bindings));
+            return false;
+        });
+
+        return matches;
+    };
+
+    // Return list of matches of the query in the given Document, each
+    // an object with the sentence and nodes mapping node names to
+    // Elements.
+    Query.prototype.search = function(document, includeEmpty) {
+        var results = [];
+
+        for (var i=0; i<document.sentences.length; i++) {
+            var sentence = document.sentences[i],
+                matches = this.match(sentence, includeEmpty);
+            for (var j=0; j<matches.length; j++) {
+                results.push({ sentence: sentence, nodes: matches[j] });
+            }
+        }
+
+        return results;
+    };
+
+    // Search the given Document for the given query, see
+    // Query.search().
+    var search = function(document, query, logger) {
+        return new Query().parse(query, logger).search(document);
+    };
+
+    /*
+     * Support functions for ConllU.Query.
+     */
+
+    // Error in query syntax (internal to Query.parse()).
+    var QueryError = function(message, offset) {
+        this.message = message;
+        this.offset = offset;
+    };
+
+    // Return list of tokens ({type, value, offset}) in query source,
+    // with types "word", "string", "regex" and "op".
+    var tokenizeQuery = function(source) {
+        var tokens = [],
+            offset = 0;
+
+        while (offset < source.length) {
+            var rest = source.substr(offset),
+                m = rest.match(/^\s+/);
+            if (m) {
+                offset += m[0].length;
+                continue;
+            }
+            var op = null;
+            for (var i=0; i<queryOperators.length; i++) {
+                if (rest.substr(0, queryOperators[i].length) ===
+                    queryOperators[i]) {
+                    op = queryOperators[i];
+                    break;
+                }
+            }
+            if (op !== null) {
+                tokens.push({ type: 'op', value: op, offset: offset });
+                offset += op.length;
+            } else if ((m = rest.match(/^(re)?"((?:[^"\\]|\\.)*)"/))) {
+                tokens.push({
+                    type: (m[1] ? 'regex' : 'string'),
+                    value: m[2].replace(/\\(.)/g, m[1] ? '\\$1' : '$1'),
+                    offset: offset
+                });
+                offset += m[0].length;
+            } else if ((m = rest.match(queryWordRegex))) {
+                tokens.push({ type: 'word', value: m[0], offset: offset });
+                offset += m[0].length;
+            } else {
+                throw new QueryError('unexpected "'+rest[0]+'"', offset);
+            }
+        }
+
+        return tokens;
+    };
+
+    // Sequence of query tokens being parsed.
+    var QueryTokens = function(tokens) {
+        this.tokens = tokens;
+        this.index = 0;
+    };
+
+    QueryTokens.prototype.atEnd = function() {
+        return this.index >= this.tokens.length;
+    };
+
+    // Return next token (or the given number of tokens ahead of it)
+    // without consuming it, null at end.
+    QueryTokens.prototype.peek = function(ahead) {
+        var index = this.index + (ahead !== undefined ? ahead : 0);
+        return index < this.tokens.length ? this.tokens[index] : null;
+    };
+
+    // Return true iff next token is the given operator.
+    QueryTokens.prototype.peekOp = function(op) {
+        var token = this.peek();
+        return token !== null && token.type === 'op' && token.value === op;
+    };
+
+    // Consume and return next token, which must have the given type
+    // (and value, if given).
+    QueryTokens.prototype.next = function(type, value) {
+        var token = this.peek();
+
+        if (token === null) {
+            var end = (this.tokens.length !== 0 ?
+                       this.tokens[this.tokens.length-1].offset : 0);
+            throw new QueryError('unexpected end of query', end);
+        }
+        if (token.type !== type ||
+            (value !== undefined && token.value !== value)) {
+            throw new QueryError('expected '+(value !== undefined ?
+                                              '"'+value+'"' : type)+
+                                 ', got "'+token.value+'"', token.offset);
+        }
+        this.index++;
+
+        return token;
+    };
+
+    // Parse "{ item; item; ... }", return clause.
+    var parseQueryClause = function(tokens) {
+        var clause = { nodes: {}, names: [], edges: [], orders: [] };
+
+        var declare = function(name) {
+            if (clause.nodes[name] === undefined) {
+                clause.nodes[name] = [];
+                clause.names.push(name);
+            }
+        };
+
+        tokens.next('op', '{');
+        while (!tokens.peekOp('}')) {
+            if (tokens.peekOp(';')) {
+                tokens.next('op', ';');
+                continue;
+            }
+            var name = tokens.next('word').value;
+            declare(name);
+            if (tokens.peekOp('[')) {
+                clause.nodes[name] = clause.nodes[name].concat(
+                    parseQueryConstraints(tokens));
+            } else if (tokens.peekOp('<') || tokens.peekOp('<<')) {
+                var immediate = tokens.next('op').value === '<';
+                var after = tokens.next('word').value;
+                declare(after);
+                clause.orders.push({
+                    before: name,
+                    after: after,
+                    immediate: immediate
+                });
+            } else {
+                var edge = parseQueryEdge(tokens);
+                edge.from = name;
+                edge.to = tokens.next('word').value;
+                declare(edge.to);
+                clause.edges.push(edge);
+            }
+            if (!tokens.peekOp('}')) {
+                tokens.next('op', ';');
+            }
+        }
+        tokens.next('op', '}');
+
+        return clause;
+    };
+
+    // Parse "[constraint, constraint, ...]", return list of
+    // constraints ({key, op, values}).
+    var parseQueryConstraints = function(tokens) {
+        var constraints = [];
+
+        tokens.next('op', '[');
+        while (!tokens.peekOp(']')) {
+            var constraint = { key: null, op: 'present', values: [] };
+            if (tokens.peekOp('!')) {
+                tokens.next('op', '!');
+                constraint.op = 'absent';
+            }
+            constraint.key = tokens.next('word').value;
+            if (constraint.op === 'present' &&
+                (tokens.peekOp('=') || tokens.peekOp('<>') ||
+                 tokens.peekOp('!='))) {
+                constraint.op = (tokens.next('op').value === '=' ?
+                                 'equal' : 'notEqual');
+                constraint.values = parseQueryValues(
+                    tokens, isQueryFeature(constraint.key));
+            }
+            constraints.push(constraint);
+            if (!tokens.peekOp(']')) {
+                tokens.next('op', ',');
+            }
+        }
+        tokens.next('op', ']');
+
+        return constraints;
+    };
+
+    // Parse "value|value|...", return list of functions testing
+    // whether a string matches the value. If valueLists is truthy,
+    // words joined by commas without spaces (e.g. "Acc,Dat") are read
+    // as one value, as in FEATS.
+    var parseQueryValues = function(tokens, valueLists) {
+        var values = [];
+
+        do {
+            var token = tokens.peek();
+            if (token !== null && token.type === 'regex') {
+                tokens.next('regex');
+                var regex;
+                try {
+                    regex = new RegExp('^(?:'+token.value+')$');
+                } catch (e) {
+                    throw new QueryError('invalid regular expression "'+
+                                         token.value+'"', token.offset);
+                }
+                values.push(regexMatcher(regex));
+            } else if (token !== null && token.type === 'string') {
+                values.push(stringMatcher(tokens.next('string').value));
+            } else {
+                var word = tokens.next('word'),
+                    value = word.value;
+                while (valueLists && adjacentQueryWord(tokens, word)) {
+                    tokens.next('op', ',');
+                    word = tokens.next('word');
+                    value += ',' + word.value;
+                }
+                values.push(stringMatcher(value));
+            }
+        } while (tokens.peekOp('|') && tokens.next('op', '|'));
+
+        return values;
+    };
+
+    // Return true iff the next tokens are a comma and a word, written
+    // directly after the given word token without spaces.
+    var adjacentQueryWord = function(tokens, word) {
+        var comma = tokens.peek(),
+            next = tokens.peek(1),
+            end = word.offset + word.value.length;
+
+        return (comma !== null && comma.type === 'op' &&
+                comma.value === ',' && comma.offset === end &&
+                next !== null && next.type === 'word' &&
+                next.offset === end + 1);
+    };
+
+    // Return true iff the given query key names a feature.
+    var isQueryFeature = function(key) {
+        return (!queryFields.hasOwnProperty(key) &&
+                key.indexOf('misc.') !== 0);
+    };
+
+    // Parse edge operator ("->", "-[labels]->", "=>" or
+    // "=[labels]=>"), return edge ({enhanced, labels, negated}).
+    var parseQueryEdge = function(tokens) {
+        var edge = { enhanced: false, labels: null, negated: false };
+        var token = tokens.next('op');
+
+        if (token.value === '->' || token.value === '=>') {
+            edge.enhanced = (token.value === '=>');
+            return edge;
+        } else if (token.value !== '-[' && token.value !== '=[') {
+            throw new QueryError('expected node constraints, edge or '+
+                                 'order, got "'+token.value+'"',
+                                 token.offset);
+        }
+        edge.enhanced = (token.value === '=[');
+        if (tokens.peekOp('^')) {
+            tokens.next('op', '^');
+            edge.negated = true;
+        }
+        edge.labels = [];
+        do {
+            edge.labels.push(tokens.next('word').value);
+        } while (tokens.peekOp('|') && tokens.next('op', '|'));
+        tokens.next('op', edge.enhanced ? ']=>' : ']->');
+
+        return edge;
+    };
+
+    var stringMatcher = function(s) {
+        return function(value) {
+            return value === s;
+        };
+    };
+
+    var regexMatcher = function(regex) {
+        return function(value) {
+            return regex.test(value);
+        };
+    };
+
+    // Return data on the given sentence used in query matching.
+    var queryContext = function(sentence, includeEmpty) {
+        var candidates = sentence.words(includeEmpty),
+            position = {};
+
+        for (var i=0; i<sentence.elements.length; i++) {
+            position[sentence.elements[i].id] = i;
+        }
+
+        return {
+            candidates: candidates,
+            position: position,
+            wordIndex: function(element) {
+                return candidates.indexOf(element);
+            },
+            edges: [sentence.edges(), sentence.edges(true)]
+        };
+    };
+
+    // Find matches of the clause extending the given bindings,
+    // calling found with each; stop if found returns true.
+    var matchQueryClause = function(clause, context, bindings, found) {
+        var names = clause.names.filter(function(n) {
+            return bindings[n] === undefined;
+        });
+        var bound = [];
+        for (var name in bindings) {
+            if (bindings.hasOwnProperty(name)) {
+                bound.push(bindings[name]);
+            }
+        }
+        bindings = shallowCopy(bindings);
+
+        // candidates for each node satisfying its own constraints
+        var candidates = {};
+        for (var i=0; i<names.length; i++) {
+            candidates[names[i]] = context.candidates.filter(function(c) {
+                return matchesConstraints(c, clause.nodes[names[i]]);
+            });
+        }
+        for (var name in bindings) {
+            if (bindings.hasOwnProperty(name) &&
+                clause.nodes[name] !== undefined &&
+                !matchesConstraints(bindings[name], clause.nodes[name])) {
+                return false;
+            }
+        }
+
+        var extend = function(index) {
+            if (!satisfiesRelations(clause, context, bindings)) {
+                return false;
+            }
+            if (index === names.length) {
+                return found(bindings);
+            }
+            var name = names[index],
+                options = candidates[name];
+            for (var i=0; i<options.length; i++) {
+                if (bound.indexOf(options[i]) !== -1) {
+                    continue; // nodes bind distinct words
+                }
+                bindings[name] = options[i];
+                bound.push(options[i]);
+                var stop = extend(index+1);
+                bound.pop();
+                delete bindings[name];
+                if (stop) {
+                    return true;
+                }
+            }
+            return false;
+        };
+
+        return extend(0);
+    };
+
+    // Return true iff the element satisfies the node constraints.
+    var matchesConstraints = function(element, constraints) {
+        for (var i=0; i<constraints.length; i++) {
+            var constraint = constraints[i],
+                values = queryValues(element, constraint.key);
+            if (constraint.op === 'present' && values.length === 0 ||
+                constraint.op === 'absent' && values.length !== 0) {
+                return false;
+            }
+            if (constraint.op === 'equal' || constraint.op === 'notEqual') {
+                var matched = false;
+                for (var j=0; j<values.length && !matched; j++) {
+                    for (var k=0; k<constraint.values.length; k++) {
+                        if (constraint.values[k](values[j])) {
+                            matched = true;
+                            break;
+                        }
+                    }
+                }
+                if (matched !== (constraint.op === 'equal')) {
+                    return false;
+                }
+            }
+        }
+        return true;
+    };
+
+    // Return the values of the given query key for the element: the
+    // field value for standard fields, and the values of the feature
+    // (including the full comma-separated value) or MISC key.
+    var queryValues = function(element, key) {
+        var field = queryFields[key];
+
+        if (field !== undefined) {
+            var value = element[field];
+            return (value === '_' || value === null ? [] : [value]);
+        }
+
+        var value = (key.indexOf('misc.') === 0 ?
+                     element.getMisc(key.substr('misc.'.length)) :
+                     element.getFeature(key));
+        if (value === null) {
+            return [];
+        }
+        return [value].concat(value.indexOf(',') !== -1 ?
+                              value.split(',') : []);
+    };
+
+    // Return true iff the bound nodes satisfy the edge and order
+    // constraints of the clause that concern only bound nodes.
+    var satisfiesRelations = function(clause, context, bindings) {
+        for (var i=0; i<clause.edges.length; i++) {
+            var edge = clause.edges[i],
+                from = bindings[edge.from],
+                to = bindings[edge.to];
+            if (from === undefined || to === undefined) {
+                continue;
+            }
+            var edges = context.edges[edge.enhanced ? 1 : 0],
+                found = false;
+            for (var j=0; j<edges.length && !found; j++) {
+                found = (edges[j][0] === to.id && edges[j][1] === from.id &&
+                         matchesLabels(edges[j][2], edge));
+            }
+            if (!found) {
+                return false;
+            }
+        }
+        for (var i=0; i<clause.orders.length; i++) {
+            var order = clause.orders[i],
+                before = bindings[order.before],
+                after = bindings[order.after];
+            if (before === undefined || after === undefined) {
+                continue;
+            }
+            if (order.immediate) {
+                var index = context.wordIndex(before);
+                if (context.candidates[index+1] !== after) {
+                    return false;
+                }
+            } else if (context.position[before.id] >=
+                       context.position[after.id]) {
+                return false;
+            }
+        }
+        return true;
+    };
+
+    // Return true iff the deprel matches the labels of the edge.
+    var matchesLabels = function(deprel, edge) {
+        if (edge.labels === null) {
+            return true;
+        }
+        var matched = false;
+        for (var i=0; i<edge.labels.length; i++) {
+            var label = edge.labels[i];
+            if (deprel === label || (label.indexOf(':') === -1 &&
+                                     deprel.split(':')[0] === label)) {
+                matched = true;
+            }
+        }
+        return matched !== edge.negated;
+    };
+
+    // query keys for standard fields
+    var queryFields = {
+        form: 'form',
+        lemma: 'lemma',
+        upos: 'upostag',
+        xpos: 'xpostag',
+        deprel: 'deprel'
+    };
+
+    // query operators, longest first where one is a prefix of another
+    var queryOperators = [
+        '-[', ']->', '=[', ']=>', '->', '=>', '<<', '<>', '!=',
+        '{', '}', '[', ']', ';', ',', '|', '=', '<', '!', '^'
+    ];
+
+    // match word in query (no operator characters, hyphen only
+    // between other characters), with an optional feature layer only
+    // before "=" or "!=" (e.g. "Number[psor]=Sing"), so that "V[lemma]"
+    // is a word followed by a bracket
+    var queryWordRegex = (function() {
+        var part = '[^\\s{}\\[\\];,|="<>!^\\-]+';
+        return new RegExp('^' + part + '(?:-' + part + ')*' +
+                          '(?:\\[[a-z0-9]+\\](?=\\s*!?=))?');
+    })();
+
+    /*
+     * ConllU.evaluate: evaluation of system output against gold
+     * standard following the CoNLL 2018 shared task evaluation script
+     * (https://universaldependencies.org/conll18/evaluation.html)
+     */
+
+    // Represents the score of a single metric.
+    var Score = function(goldTotal, systemTotal, correct, alignedTotal) {
+        alignedTotal = (alignedTotal !== undefined ? alignedTotal : null);
+
+        this.goldTotal = goldTotal;
+        this.systemTotal = systemTotal;
+        this.correct = correct;
+        this.alignedTotal = alignedTotal;
+        this.precision = (systemTotal ? correct / systemTotal : 0);
+        this.recall = (goldTotal ? correct / goldTotal : 0);
+        this.f1 = (systemTotal + goldTotal ?
+                   2 * correct / (systemTotal + goldTotal) : 0);
+        this.alignedAccuracy = (alignedTotal ?
+                                correct / alignedTotal : null);
+    };
+
+    // Evaluate system Document against gold Document, returning an
+    // object mapping metric names (Tokens, Sentences, Words, UPOS,
+    // XPOS, UFeats, AllTags, Lemmas, UAS, LAS, CLAS, MLAS and BLEX) to
+    // Scores, with per-relation LAS and per-tag UPOS breakdowns in
+    // byDeprel and byUpos. Words are aligned by character offsets,
+    // and within differently tokenized multiword tokens by their
+    // forms. Return null (logging an error) if the documents do not
+    // have the same text, ignoring whitespace.
+    var evaluate = function(gold, system, logger) {
+        logger = (logger !== undefined ? logger : nullLogger);
+
+        var goldUd = evaluationData(gold),
+            systemUd = evaluationData(system);
+
+        if (goldUd.characters !== systemUd.characters) {
+            var index = 0;
+            while (index < goldUd.characters.length &&
+                   goldUd.characters[index] === systemUd.characters[index]) {
+                index++;
+            }
+            logger('error: the concatenation of tokens in gold and system '+
+                   'documents differ, first 20 differing characters in '+
+                   'gold: "'+goldUd.characters.substr(index, 20)+'" and '+
+                   'system: "'+systemUd.characters.substr(index, 20)+'"');
+            return null;
+        }
+
+        var alignment = alignWords(goldUd.words, systemUd.words);
+
+        var upos = function(w) { return w.upostag; },
+            xpos = function(w) { return w.xpostag; },
+            feats = function(w) { return w.feats; },
+            isContent = function(w) { return w.isContent; };
+        var lemma = function(w, ga) {
+            return ga(w).lemma !== '_' ? w.lemma : '_';
+        };
+        var las = function(w, ga) {
+            return [ga(w.parent), w.deprel];
+        };
+
+        var result = {
+            'Tokens': spansScore(goldUd.tokens, systemUd.tokens),
+            'Sentences': spansScore(goldUd.sentences, systemUd.sentences),
+            'Words': alignmentScore(alignment),
+            'UPOS': alignmentScore(alignment, upos),
+            'XPOS': alignmentScore(alignment, xpos),
+            'UFeats': alignmentScore(alignment, feats),
+            'AllTags': alignmentScore(alignment, function(w) {
+                return [w.upostag, w.xpostag, w.feats];
+            }),
+            'Lemmas': alignmentScore(alignment, lemma),
+            'UAS': alignmentScore(alignment, function(w, ga) {
+                return ga(w.parent);
+            }),
+            'LAS': alignmentScore(alignment, las),
+            'CLAS': alignmentScore(alignment, las, isContent),
+            'MLAS': alignmentScore(alignment, function(w, ga) {
+                return [ga(w.parent), w.deprel, w.upostag, w.feats,
+                        w.functionalChildren.map(function(c) {
+                            return [ga(c), c.deprel, c.upostag, c.feats];
+                        })];
+            }, isContent),
+            'BLEX': alignmentScore(alignment, function(w, ga) {
+                return [ga(w.parent), w.deprel, lemma(w, ga)];
+            }, isContent),
+            byDeprel: {},
+            byUpos: {}
+        };
+
+        var deprels = valueSet(goldUd.words.concat(systemUd.words), 'deprel'),
+            upostags = valueSet(goldUd.words.concat(systemUd.words), 'upostag');
+        for (var i=0; i<deprels.length; i++) {
+            result.byDeprel[deprels[i]] = alignmentScore(
+                alignment, las, valueFilter('deprel', deprels[i]));
+        }
+        for (var i=0; i<upostags.length; i++) {
+            result.byUpos[upostags[i]] = alignmentScore(
+                alignment, upos, valueFilter('upostag', upostags[i]));
+        }
+
+        return result;
+    };
+
+    // Return the words, tokens and sentences of the given Document
+    // for evaluation, with character offsets into the concatenation
+    // of token forms with whitespace removed.
+    var evaluationData = function(document) {
+        var characters = [],
+            offset = 0,
+            words = [],
+            tokens = [],
+            sentences = [];
+
+        for (var i=0; i<document.sentences.length; i++) {
+            var sentence = document.sentences[i],
+                elementById = sentence.elementById(),
+                sentenceTokens = sentence.tokens(),
+                sentenceWords = [],
+                wordById = {},
+                sentenceStart = offset;
+
+            for (var j=0; j<sentenceTokens.length; j++) {
+                var token = sentenceTokens[j];
+                if (token.isEmptyNode()) {
+                    continue;
+                }
+                var form = token.form.replace(whitespaceRegex, '');
+                var span = { start: offset, end: offset + form.length };
+                characters.push(form);
+                offset += form.length;
+                tokens.push(span);
+
+                var tokenWords = [token];
+                if (token.isMultiword()) {
+                    tokenWords = [];
+                    for (var k=token.rangeFrom(); k<=token.rangeTo(); k++) {
+                        if (elementById[k] !== undefined) {
+                            tokenWords.push(elementById[k]);
+                        }
+                    }
+                }
+                for (var k=0; k<tokenWords.length; k++) {
+                    var word = evaluationWord(tokenWords[k], span,
+                                              token.isMultiword());
+                    word.index = words.length + sentenceWords.length;
+                    wordById[word.element.id] = word;
+                    sentenceWords.push(word);
+                }
+            }
+
+            // resolve heads and collect functional children
+            for (var j=0; j<sentenceWords.length; j++) {
+                var word = sentenceWords[j],
+                    parent = wordById[word.element.head];
+                word.parent = (parent !== undefined ? parent : null);
+                if (word.parent !== null && word.isFunctional) {
+                    word.parent.functionalChildren.push(word);
+                }
+            }
 
-            if (element.isMultiword() && element.rangeFrom() !== expectedId) {
-                this.addError('multiword tokens must appear before '+
-                              'first word in their range',
-                              element, issues);
-            } else {
-                expectedId = parseInt(element.id, 10) + 1;
+            words = words.concat(sentenceWords);
+            if (offset > sentenceStart) {
+                sentences.push({ start: sentenceStart, end: offset });
             }
         }
 
-        return issues.length === initialIssueCount;
+        return {
+            characters: characters.join(''),
+            words: words,
+            tokens: tokens,
+            sentences: sentences
+        };
     };
 
-    Sentence.prototype.validateEmptyNodeSequence = function(issues) {
-        issues = (issues !== undefined ? issues : []);
+    // Return representation of the given word Element for
+    // evaluation, with FEATS restricted to universal features and
+    // DEPREL to its universal part.
+    var evaluationWord = function(element, span, isMultiword) {
+        var feats = element.feats.split('|').filter(function(f) {
+            return evaluationFeatures.indexOf(f.split('=')[0]) !== -1;
+        }).sort();
+        var deprel = element.deprel.split(':')[0];
 
-        var initialIssueCount = issues.length;
-        var previousWordId = '0';    // TODO check https://github.com/UniversalDependencies/docs/issues/382
-        var nextEmptyNodeId = 1;
+        return {
+            element: element,
+            span: span,
+            isMultiword: isMultiword,
+            form: element.form,
+            lemma: element.lemma,
+            upostag: element.upostag,
+            xpostag: element.xpostag,
+            feats: feats.join('|'),
+            deprel: deprel,
+            isFunctional: functionalDeprels.indexOf(deprel) !== -1,
+            isContent: contentDeprels.indexOf(deprel) !== -1,
+            index: null,
+            parent: null,
+            functionalChildren: []
+        };
+    };
 
-        for (var i=0; i<this.elements.length; i++) {
-            var element = this.elements[i];
+    // Return Score for matching the given lists of spans.
+    var spansScore = function(goldSpans, systemSpans) {
+        var correct = 0, gi = 0, si = 0;
 
-            if (element.isWord()) {
-                previousWordId = element.id;
-                nextEmptyNodeId = 1;
-            } else if (element.isEmptyNode()) {
-                var expectedId = previousWordId + '.' + nextEmptyNodeId;
-                if (element.id !== expectedId) {
-                    this.addError('empty node IDs should be *.1, *.2, ... ' +
-                                  'expected '+expectedId+', got '+element.id,
-                                  element, issues);
+        while (gi < goldSpans.length && si < systemSpans.length) {
+            if (systemSpans[si].start < goldSpans[gi].start) {
+                si++;
+            } else if (goldSpans[gi].start < systemSpans[si].start) {
+                gi++;
+            } else {
+                if (goldSpans[gi].end === systemSpans[si].end) {
+                    correct++;
                 }
-                nextEmptyNodeId++;
+                gi++;
+                si++;
             }
         }
 
-        return issues.length === initialIssueCount;
-    }
+        return new Score(goldSpans.length, systemSpans.length, correct);
+    };
 
-    // Check validity of ID references in HEAD and DEPS.
-    Sentence.prototype.validateReferences = function(issues) {
-        issues = (issues !== undefined ? issues : []);
-        
-        var initialIssueCount = issues.length;
-        var elementById = this.elementById();
+    // Return Score for the given word alignment. If key is given,
+    // aligned words are counted as correct iff key gives the same
+    // value for both; key is called with a word and a function
+    // mapping words to gold words. If filter is given, only words
+    // for which it returns true are counted.
+    var alignmentScore = function(alignment, key, filter) {
+        var goldWords = alignment.goldWords,
+            systemWords = alignment.systemWords,
+            matched = alignment.matched;
+
+        if (filter !== undefined) {
+            goldWords = goldWords.filter(filter);
+            systemWords = systemWords.filter(filter);
+            matched = matched.filter(function(m) { return filter(m[0]); });
+        }
+        if (key === undefined) {
+            return new Score(goldWords.length, systemWords.length,
+                             matched.length);
+        }
 
-        for (var i=0; i<this.elements.length; i++) {
-            var element = this.elements[i];
+        var goldAligned = function(w) {
+            return w;
+        };
+        var systemAligned = function(w) {
+            if (w === null) {
+                return null;
+            }
+            return (alignment.goldFor[w.index] !== undefined ?
+                    alignment.goldFor[w.index] : 'NotAligned');
+        };
 
-            // validate HEAD
-            if (!element.validHeadReference(elementById)) {
-                this.addError('HEAD is not valid ID: "'+element.head+'"',
-                              element, issues);
+        var correct = 0;
+        for (var i=0; i<matched.length; i++) {
+            if (sameKey(key(matched[i][0], goldAligned),
+                        key(matched[i][1], systemAligned))) {
+                correct++;
             }
-            
-            // validate DEPS
-            var elemDeps = element.dependencies(true);
-            for (var j=0; j<elemDeps.length; j++) {
-                var head = elemDeps[j][1];
-                if (head !== '0' && elementById[head] === undefined) {
-                    this.addError('invalid ID "'+head+'" in DEPS',
-                                  element, issues);
+        }
+
+        return new Score(goldWords.length, systemWords.length, correct,
+                         matched.length);
+    };
+
+    // Return true iff the given keys (values, words or nested lists
+    // of them) are equal.
+    var sameKey = function(a, b) {
+        if (a instanceof Array && b instanceof Array) {
+            if (a.length !== b.length) {
+                return false;
+            }
+            for (var i=0; i<a.length; i++) {
+                if (!sameKey(a[i], b[i])) {
+                    return false;
                 }
             }
+            return true;
         }
-
-        return issues.length === initialIssueCount;
+        return a === b;
     };
 
-    Sentence.prototype.repair = function(log) {
-        log = (log !== undefined ? log : nullLogger);
+    // Align gold and system words, returning an object with lists of
+    // gold and system words, matched [gold, system] pairs, and goldFor
+    // mapping the index of each aligned system word to its gold
+    // word.
+    var alignWords = function(goldWords, systemWords) {
+        var alignment = {
+            goldWords: goldWords,
+            systemWords: systemWords,
+            matched: [],
+            goldFor: {}
+        };
+        var align = function(gi, si) {
+            alignment.matched.push([goldWords[gi], systemWords[si]]);
+            alignment.goldFor[si] = goldWords[gi];
+        };
 
-        if (!this.validateUniqueIds()) {
-            this.repairUniqueIds(log);
+        var gi = 0, si = 0;
+        while (gi < goldWords.length && si < systemWords.length) {
+            var gold = goldWords[gi], system = systemWords[si];
+            if (gold.isMultiword || system.isMultiword) {
+                // align words in multiword span by longest common
+                // subsequence of forms
+                var span = multiwordSpan(goldWords, systemWords, gi, si);
+                var gs = span[0], ss = span[1];
+                gi = span[2];
+                si = span[3];
+                if (si > ss && gi > gs) {
+                    var lcs = formLcs(goldWords, systemWords, gi, si, gs, ss);
+                    var g = 0, s = 0;
+                    while (g < gi - gs && s < si - ss) {
+                        if (goldWords[gs+g].form.toLowerCase() ===
+                            systemWords[ss+s].form.toLowerCase()) {
+                            align(gs+g, ss+s);
+                            g++;
+                            s++;
+                        } else if (lcs[g][s] ===
+                                   (g+1 < gi-gs ? lcs[g+1][s] : 0)) {
+                            g++;
+                        } else {
+                            s++;
+                        }
+                    }
+                }
+            } else if (gold.span.start === system.span.start &&
+                       gold.span.end === system.span.end) {
+                align(gi, si);
+                gi++;
+                si++;
+            } else if (gold.span.start <= system.span.start) {
+                gi++;
+            } else {
+                si++;
+            }
         }
 
-        if (!this.validateWordSequence()) {
-            this.repairWordSequence(log);
-        }
+        return alignment;
+    };
 
-        if (!this.validateMultiwordSequence()) {
-            this.repairMultiwordSequence(log);
+    // Return [gs, ss, gi, si] giving the start and end (exclusive) of
+    // the minimal span of gold and system words including the
+    // multiword token at gi or si.
+    var multiwordSpan = function(goldWords, systemWords, gi, si) {
+        var end;
+
+        if (goldWords[gi].isMultiword) {
+            end = goldWords[gi].span.end;
+            if (!systemWords[si].isMultiword &&
+                systemWords[si].span.start < goldWords[gi].span.start) {
+                si++;
+            }
+        } else {
+            end = systemWords[si].span.end;
+            if (!goldWords[gi].isMultiword &&
+                goldWords[gi].span.start < systemWords[si].span.start) {
+                gi++;
+            }
         }
+        var gs = gi, ss = si;
 
-        if (!this.validateEmptyNodeSequence()) {
-            this.repairEmptyNodeSequence(log);
-        }
+        var beyondEnd = function(words, i) {
+            if (i >= words.length) {
+                return true;
+            } else if (words[i].isMultiword) {
+                return words[i].span.start >= end;
+            } else {
+                return words[i].span.end > end;
+            }
+        };
+        var extendEnd = function(word) {
+            if (word.isMultiword && word.span.end > end) {
+                end = word.span.end;
+            }
+        };
 
-        if (!this.validateReferences()) {
-            this.repairReferences(log);
+        while (!beyondEnd(goldWords, gi) || !beyondEnd(systemWords, si)) {
+            if (gi < goldWords.length &&
+                (si >= systemWords.length ||
+                 goldWords[gi].span.start <= systemWords[si].span.start)) {
+                extendEnd(goldWords[gi]);
+                gi++;
+            } else {
+                extendEnd(systemWords[si]);
+                si++;
+            }
         }
 
-        var issues = this.validate();
-        return issues.length === 0;
+        return [gs, ss, gi, si];
     };
 
-    Sentence.prototype.repairUniqueIds = function(log) {
-        log = (log !== undefined ? log : nullLogger);
-
-        var elementById = {},
-            filtered = [];
+    // Return table of lengths of longest common subsequences of
+    // lowercased forms of gold words gs..gi and system words ss..si
+    // (end exclusive), indexed from the starts.
+    var formLcs = function(goldWords, systemWords, gi, si, gs, ss) {
+        var lcs = [];
 
-        for (var i=0; i<this.elements.length; i++) {
-            var element = this.elements[i];
-            if (elementById[element.id] === undefined) {
-                elementById[element.id] = element;
-                filtered.push(element);
-            } else {
-                log('repair: remove element with duplicate ID "'+element.id+'"');
+        for (var g=0; g<gi-gs; g++) {
+            lcs.push([]);
+        }
+        for (var g=gi-gs-1; g>=0; g--) {
+            for (var s=si-ss-1; s>=0; s--) {
+                var value = 0;
+                if (goldWords[gs+g].form.toLowerCase() ===
+                    systemWords[ss+s].form.toLowerCase()) {
+                    value = 1 + (g+1 < gi-gs && s+1 < si-ss ?
+                                 lcs[g+1][s+1] : 0);
+                }
+                value = Math.max(value, g+1 < gi-gs ? lcs[g+1][s] : 0);
+                value = Math.max(value, s+1 < si-ss ? lcs[g][s+1] : 0);
+                lcs[g][s] = value;
             }
         }
-        this.elements = filtered;
-    
-        return true;
-    };
 
-    Sentence.prototype.repairWordSequence = function(log) {
-        log('TODO: implement ConllU.Sentence.repairWordSequence()');
-        return true;
+        return lcs;
     };
 
-    Sentence.prototype.repairMultiwordSequence = function(log) {
-        log('TODO: implement ConllU.Sentence.repairMultiwordSequence()');
-        return true;
+    // Return sorted list of distinct values of the given property of
+    // the given words.
+    var valueSet = function(words, property) {
+        var seen = {};
+
+        for (var i=0; i<words.length; i++) {
+            seen[words[i][property]] = true;
+        }
+
+        return Object.keys(seen).sort();
     };
 
-    Sentence.prototype.repairEmptyNodeSequence = function(log) {
-        log('TODO: implement ConllU.Sentence.repairEmptyNodeSequence()');
-        return true;
+    // Return function testing whether a word has the given value for
+    // the given property.
+    var valueFilter = function(property, value) {
+        return function(w) {
+            return w[property] === value;
+        };
     };
 
-    Sentence.prototype.repairReferences = function(log) {
-        log = (log !== undefined ? log : nullLogger);
+    // features considered in evaluation
+    var evaluationFeatures = [
+        'PronType', 'NumType', 'Poss', 'Reflex', 'Foreign', 'Abbr',
+        'Gender', 'Animacy', 'Number', 'Case', 'Definite', 'Degree',
+        'VerbForm', 'Mood', 'Tense', 'Aspect', 'Voice', 'Evident',
+        'Polarity', 'Person', 'Polite'
+    ];
+
+    // relations of content words (see CLAS, MLAS and BLEX)
+    var contentDeprels = [
+        'nsubj', 'obj', 'iobj', 'csubj', 'ccomp', 'xcomp', 'obl',
+        'vocative', 'expl', 'dislocated', 'advcl', 'advmod', 'discourse',
+        'nmod', 'appos', 'nummod', 'acl', 'amod', 'conj', 'fixed', 'flat',
+        'compound', 'list', 'parataxis', 'orphan', 'goeswith',
+        'reparandum', 'root', 'dep'
+    ];
+
+    // relations of functional words attached to content words (see
+    // MLAS)
+    var functionalDeprels = [
+        'aux', 'cop', 'mark', 'det', 'clf', 'case', 'cc'
+    ];
+
+    // match whitespace, ignored when comparing texts
+    var whitespaceRegex = /\s/g;
 
-        var elementById = this.elementById();
+    /*
+     * ConllU.agreement: inter-annotator agreement
+     */
 
-        for (var i=0; i<this.elements.length; i++) {
-            var element = this.elements[i];
+    // Return agreement between two or more Documents annotating the
+    // same sentences, paired by ID (sent_id). Sentences missing from
+    // any document or tokenized differently are skipped (and logged).
+    // The result has the counts of compared sentences and words, and
+    // for UPOS, DEPREL and each feature (in features by name, with
+    // "_" for words without the feature) an object with
+    // - kappa: Cohen's kappa for two documents, Fleiss' kappa for more
+    //   (null if undefined, i.e. if only one label is used)
+    // - observed, expected: observed and chance agreement
+    // - confusion: counts of label pairs (first document label to
+    //   second document label), summed over all pairs of documents
+    // Attachment agreement is given as UAS (same HEAD) and LAS (same
+    // HEAD and DEPREL), averaged over all pairs of documents. Return
+    // null (and log) if fewer than two documents are given.
+    var agreement = function(documents, logger) {
+        logger = (logger !== undefined ? logger : nullLogger);
+
+        if (!documents || documents.length < 2) {
+            logger('agreement: at least two documents required');
+            return null;
+        }
 
-            // repair HEAD if not valid
-            if (!element.validHeadReference(elementById)) {
-                log('repair: blanking invalid HEAD');
-                element.head = null;
-            }
+        var first = documents[0],
+            indexes = [],
+            annotations = [];    // per document, list of words
 
-            // repair DEPS if not valid
-            if (element.deps === '_') {
+        for (var j=0; j<documents.length; j++) {
+            indexes.push(sentenceIndex(documents[j].sentences));
+            annotations.push([]);
+        }
+        var sentenceCount = 0;
+        for (var i=0; i<first.sentences.length; i++) {
+            var id = first.sentences[i].id,
+                sentences = indexes.map(function(index) {
+                    return index.hasOwnProperty(id) ? index[id] : null;
+                });
+            if (sentences.indexOf(null) !== -1) {
+                logger('agreement: skipping sentence "'+id+'" not found '+
+                       'in all documents');
                 continue;
             }
-            var deparr = element.deps.split('|'),
-                filtered = [];
-            for (var j=0; j<deparr.length; j++) {
-                var dep = deparr[j];
-                var m = dep.match(dependencyRegex);
-                if (m) {
-                    var head = m[1], deprel = m[2];
-                    if (head === '0' || elementById[head] !== undefined) {
-                        filtered.push(dep);
-                    } else {
-                        log('repair: removing invalid ID from DEPS');
-                        error = true;
-                    }
-                } else {
-                    console.log('internal error: repairReferences(): ' +
-                                'invalid DEPS');
-                }
+            var words = sentences.map(function(s) { return s.words(); });
+            if (!sameTokenization(words)) {
+                logger('agreement: skipping sentence "'+id+'" with '+
+                       'different tokenization');
+                continue;
             }
-            if (filtered.length === 0) {
-                element.deps = '_';
-            } else {
-                element.deps = filtered.join('|');
+            for (var j=0; j<documents.length; j++) {
+                Array.prototype.push.apply(annotations[j], words[j]);
             }
+            sentenceCount++;
         }
-        return true;
-    };
 
-    /*
-     * ConllU.Element: represents CoNLL-U word or multiword token
-     */
+        var labels = function(value) {
+            return annotations.map(function(words) {
+                return words.map(value);
+            });
+        };
 
-    // represents CoNLL-U word or multiword token
-    var Element = function(fields, lineidx, line) {
-        this.id = fields[0];
-        this.form = fields[1];
-        this.lemma = fields[2];
-        this.upostag = fields[3];
-        this.xpostag = fields[4];
-        this.feats = fields[5];
-        this.head = fields[6];
-        this.deprel = fields[7];
-        this.deps = fields[8];
-        this.misc = fields[9];
-        this.lineidx = lineidx;
-        this.line = line;
+        var featureNames = {};
+        for (var j=0; j<annotations.length; j++) {
+            for (var k=0; k<annotations[j].length; k++) {
+                var map = annotations[j][k].featureMap();
+                for (var name in map) {
+                    featureNames[name] = true;
+                }
+            }
+        }
+        var features = {};
+        Object.keys(featureNames).sort().forEach(function(name) {
+            features[name] = labelAgreement(labels(function(w) {
+                var value = w.getFeature(name);
+                return value !== null ? value : '_';
+            }));
+        });
+
+        var heads = labels(function(w) { return w.head; }),
+            deprels = labels(function(w) { return w.deprel; }),
+            attachments = labels(function(w) {
+                return w.head + ':' + w.deprel;
+            });
+
+        return {
+            sentences: sentenceCount,
+            words: annotations[0].length,
+            UPOS: labelAgreement(labels(function(w) { return w.upostag; })),
+            DEPREL: labelAgreement(deprels),
+            features: features,
+            UAS: pairwiseAgreement(heads),
+            LAS: pairwiseAgreement(attachments)
+        };
     };
 
-    // constraints that hold for all fields
-    Element.prototype.validateField = function(field, name, issues,
-                                               allowSpace) {
-        name = (name !== undefined ? name : 'field');
-        issues = (issues !== undefined ? issues : []);
-        if (allowSpace === undefined) {
-            allowSpace = false;
+    // Return true iff the given lists of words (one per document)
+    // have the same IDs and forms.
+    var sameTokenization = function(words) {
+        for (var j=1; j<words.length; j++) {
+            if (words[j].length !== words[0].length) {
+                return false;
+            }
+            for (var k=0; k<words[0].length; k++) {
+                if (words[j][k].id !== words[0][k].id ||
+                    words[j][k].form !== words[0][k].form) {
+                    return false;
+                }
+            }
         }
+        return true;
+    };
 
-        if (field === undefined) {
-            issues.push('invalid '+name);
-            return false;
-        } else if (field.length === 0) {
-            issues.push(name+' must not be empty: "'+field+'"');
-            return false;
-        } else if (hasSpace(field) && !allowSpace) {
-            issues.push(name+' must not contain space: "'+field+'"');
-            return false;
-        } else {
-            return true;
+    // Return agreement (see agreement()) for the given labels, a list
+    // (one per annotator) of lists of labels (one per item).
+    var labelAgreement = function(labels) {
+        var result = (labels.length === 2 ?
+                      cohensKappa(labels[0], labels[1]) :
+                      fleissKappa(labels));
+
+        result.confusion = {};
+        for (var i=0; i<labels.length; i++) {
+            for (var j=i+1; j<labels.length; j++) {
+                for (var k=0; k<labels[i].length; k++) {
+                    var a = labels[i][k], b = labels[j][k];
+                    if (!result.confusion.hasOwnProperty(a)) {
+                        result.confusion[a] = {};
+                    }
+                    increment(result.confusion[a], b);
+                }
+            }
         }
+
+        return result;
     };
 
-    Element.prototype.validateId = function(id, issues) {
-        issues = (issues !== undefined ? issues : []);
-        
-        if (!this.validateField(id, 'ID', issues)) {
-            return false;
-        } else if (id.match(/^\d+$/)) {
-            if (id === '0') {
-                issues.push('ID indices must start from 1: "'+id+'"');
-                return false;
-            } else {
-                return true;
+    // Return Cohen's kappa with observed and expected agreement for
+    // the given two lists of labels.
+    var cohensKappa = function(first, second) {
+        var items = first.length,
+            agreed = 0,
+            firstCounts = {},
+            secondCounts = {};
+
+        for (var k=0; k<items; k++) {
+            if (first[k] === second[k]) {
+                agreed++;
             }
-        } else if (id.match(/^(\d+)-(\d+)$/)) {
-            m = id.match(/^(\d+)-(\d+)$/);
-            if (!m) {
-                console.log('internal error');
-                return false;
+            increment(firstCounts, first[k]);
+            increment(secondCounts, second[k]);
+        }
+        var expected = 0;
+        for (var label in firstCounts) {
+            if (secondCounts.hasOwnProperty(label)) {
+                expected += (firstCounts[label] / items *
+                             secondCounts[label] / items);
             }
-            var start = parseInt(m[1], 10), 
-                end = parseInt(m[2], 10);
-            if (end < start) {
-                issues.push('ID ranges must have start <= end: "'+id+'"');
-                return false;
-            } else {
-                return true;
+        }
+
+        return kappaResult(items !== 0 ? agreed / items : 0, expected);
+    };
+
+    // Return Fleiss' kappa with observed and expected agreement for the
+    // given list (one per annotator) of lists of labels.
+    var fleissKappa = function(labels) {
+        var raters = labels.length,
+            items = (raters !== 0 ? labels[0].length : 0),
+            totals = {},
+            observed = 0;
+
+        for (var k=0; k<items; k++) {
+            var counts = {};
+            for (var i=0; i<raters; i++) {
+                increment(counts, labels[i][k]);
+                increment(totals, labels[i][k]);
             }
-        } else if (id.match(/^(\d+)\.(\d+)$/)) {
-            m = id.match(/^(\d+)\.(\d+)$/);
-            if (!m) {
-                console.log('internal error');
-                return false;
+            var pairs = 0;
+            for (var label in counts) {
+                pairs += counts[label] * (counts[label] - 1);
             }
-            var iPart = parseInt(m[1], 10),
-                fPart = parseInt(m[2], 10);
-            if (iPart == 0 || fPart == 0) {
-                issues.push('ID indices must start from 1: "'+id+'"');
-                return false;
-            } else {
-                return true;
+            observed += pairs / (raters * (raters - 1));
+        }
+        var expected = 0;
+        for (var label in totals) {
+            expected += Math.pow(totals[label] / (items * raters), 2);
+        }
+
+        return kappaResult(items !== 0 ? observed / items : 0, expected);
+    };
+
+    // Return {kappa, observed, expected} for the given observed and
+    // expected agreement, with kappa null if expected agreement is 1.
+    var kappaResult = function(observed, expected) {
+        return {
+            kappa: (expected < 1 ?
+                    (observed - expected) / (1 - expected) : null),
+            observed: observed,
+            expected: expected
+        };
+    };
+
+    // Return the fraction of items with the same label, averaged over
+    // all pairs of annotators, for the given list (one per annotator)
+    // of lists of labels.
+    var pairwiseAgreement = function(labels) {
+        var total = 0,
+            pairs = 0;
+
+        for (var i=0; i<labels.length; i++) {
+            for (var j=i+1; j<labels.length; j++) {
+                var agreed = 0;
+                for (var k=0; k<labels[i].length; k++) {
+                    if (labels[i][k] === labels[j][k]) {
+                        agreed++;
+                    }
+                }
+                total += (labels[i].length !== 0 ?
+                          agreed / labels[i].length : 0);
+                pairs++;
             }
-        } else {
-            issues.push('ID must be integer, range, or decimal: "'+id+'"');
-            return false;
         }
+
+        return pairs !== 0 ? total / pairs : 0;
     };
 
-    Element.prototype.validateForm = function(form, issues) {
-        issues = (issues !== undefined ? issues : []);
-        
-        if (!this.validateField(form, 'FORM', issues, true)) {
-            return false;
-        } else {
-            return true;
+    /*
+     * Label inventories for validation. The universal inventory holds
+     * the UD v2 universal POS tags, dependency relations and features
+     * with their values; languages extend it with data objects of the
+     * form
+     *
+     *   {
+     *     deprels: ['nmod:poss', ...],     // declared subtypes
+     *     features: {                      // additional features/values
+     *       Case: ['Abe', 'Ess', ...], ...
+     *     },
+     *     featuresByUpos: {                // features permitted by UPOS
+     *       NOUN: ['Case', 'Number', ...], ...
+     *     }
+     *   }
+     *
+     * where all properties are optional. Languages that declare
+     * no subtypes accept any subtype of a universal relation, and
+     * UPOS not in featuresByUpos permit any feature.
+     *
+     * Inventories are combined on first use and cached, so the
+     * universal inventory is frozen, and changes to a language
+     * inventory take effect when it is registered again.
+     */
+
+    // Freeze the given object and the objects it contains. Return the
+    // object.
+    var deepFreeze = function(object) {
+        for (var key in object) {
+            if (typeof object[key] === 'object' && object[key] !== null) {
+                deepFreeze(object[key]);
+            }
         }
+
+        return Object.freeze(object);
     };
 
-    Element.prototype.validateLemma = function(lemma, issues) {
-        issues = (issues !== undefined ? issues : []);
-        
-        if (!this.validateField(lemma, 'LEMMA', issues, true)) {
-            return false;
-        } else {
-            return true;
+    var universalInventory = {
+        upos: [
+            'ADJ', 'ADP', 'ADV', 'AUX', 'CCONJ', 'DET', 'INTJ', 'NOUN', 'NUM',
+            'PART', 'PRON', 'PROPN', 'PUNCT', 'SCONJ', 'SYM', 'VERB', 'X'
+        ],
+        deprels: [
+            'acl', 'advcl', 'advmod', 'amod', 'appos', 'aux', 'case', 'cc',
+            'ccomp', 'clf', 'compound', 'conj', 'cop', 'csubj', 'dep', 'det',
+            'discourse', 'dislocated', 'expl', 'fixed', 'flat', 'goeswith',
+            'iobj', 'list', 'mark', 'nmod', 'nsubj', 'nummod', 'obj', 'obl',
+            'orphan', 'parataxis', 'punct', 'reparandum', 'root', 'vocative',
+            'xcomp'
+        ],
+        features: {
+            // lexical features
+            PronType: ['Art', 'Dem', 'Emp', 'Exc', 'Ind', 'Int', 'Neg', 'Prs',
+                       'Rcp', 'Rel', 'Tot'],
+            NumType: ['Card', 'Dist', 'Frac', 'Mult', 'Ord', 'Range', 'Sets'],
+            Poss: ['Yes'],
+            Reflex: ['Yes'],
+            Foreign: ['Yes'],
+            Abbr: ['Yes'],
+            Typo: ['Yes'],
+            ExtPos: ['ADJ', 'ADP', 'ADV', 'AUX', 'CCONJ', 'DET', 'INTJ',
+                     'PRON', 'PROPN', 'SCONJ'],
+            // inflectional features (nominal)
+            Gender: ['Com', 'Fem', 'Masc', 'Neut'],
+            Animacy: ['Anim', 'Hum', 'Inan', 'Nhum'],
+            NounClass: ['Bantu1', 'Bantu2', 'Bantu3', 'Bantu4', 'Bantu5',
+                        'Bantu6', 'Bantu7', 'Bantu8', 'Bantu9', 'Bantu10',
+                        'Bantu11', 'Bantu12', 'Bantu13', 'Bantu14',
+                        'Bantu15', 'Bantu16', 'Bantu17', 'Bantu18',
+                        'Bantu19', 'Bantu20', 'Bantu21', 'Bantu22',
+                        'Bantu23', 'Wol1', 'Wol2', 'Wol3', 'Wol4', 'Wol5',
+                        'Wol6', 'Wol7', 'Wol8', 'Wol9', 'Wol10', 'Wol11',
+                        'Wol12'],
+            Number: ['Coll', 'Count', 'Dual', 'Grpa', 'Grpl', 'Inv', 'Pauc',
+                     'Plur', 'Ptan', 'Sing', 'Tri'],
+            Case: ['Abs', 'Acc', 'Erg', 'Nom', 'Abe', 'Ben', 'Cau', 'Cmp',
+                   'Cns', 'Com', 'Dat', 'Dis', 'Equ', 'Gen', 'Ins', 'Par',
+                   'Tem', 'Tra', 'Voc', 'Abl', 'Add', 'Ade', 'All', 'Del',
+                   'Ela', 'Ess', 'Ill', 'Ine', 'Lat', 'Loc', 'Per', 'Sbe',
+                   'Sbl', 'Spl', 'Sub', 'Sup', 'Ter'],
+            Definite: ['Com', 'Cons', 'Def', 'Ind', 'Spec'],
+            Deixis: ['Abv', 'Bel', 'Even', 'Med', 'Nvis', 'Prox', 'Remt'],
+            DeixisRef: ['1', '2'],
+            Degree: ['Abs', 'Aug', 'Cmp', 'Dim', 'Equ', 'Pos', 'Sup'],
+            // inflectional features (verbal)
+            VerbForm: ['Conv', 'Fin', 'Gdv', 'Ger', 'Inf', 'Part', 'Sup',
+                       'Vnoun'],
+            Mood: ['Adm', 'Cnd', 'Des', 'Imp', 'Ind', 'Int', 'Irr', 'Jus',
+                   'Nec', 'Opt', 'Pot', 'Prp', 'Qot', 'Sub'],
+            Tense: ['Fut', 'Imp', 'Past', 'Pqp', 'Pres'],
+            Aspect: ['Hab', 'Imp', 'Iter', 'Perf', 'Prog', 'Prosp'],
+            Voice: ['Act', 'Antip', 'Bfoc', 'Cau', 'Dir', 'Inv', 'Lfoc',
+                    'Mid', 'Pass', 'Rcp'],
+            Evident: ['Fh', 'Nfh'],
+            Polarity: ['Neg', 'Pos'],
+            Person: ['0', '1', '2', '3', '4'],
+            Polite: ['Elev', 'Form', 'Humb', 'Infm'],
+            Clusivity: ['Ex', 'In']
         }
     };
-    
-    Element.prototype.validateUpostag = function(upostag, issues) {
-        issues = (issues !== undefined ? issues : []);
-        
-        if (!this.validateField(upostag, 'UPOSTAG', issues)) {
-            return false;
-        } else {
-            return true;
-        }
+    deepFreeze(universalInventory);
+
+    // language inventories by language code
+    var languages = {};
+
+    // inventories combined with the universal one, by language code
+    var combinedInventories = {};
+
+    // Register the label inventory for the language with the given
+    // code (e.g. "fi"), replacing any previously registered one.
+    var registerLanguage = function(code, inventory) {
+        languages[code] = inventory;
+        delete combinedInventories[code];
     };
 
-    Element.prototype.validateXpostag = function(xpostag, issues) {
-        issues = (issues !== undefined ? issues : []);
-        
-        if (!this.validateField(xpostag, 'XPOSTAG', issues)) {
-            return false;
-        } else {
-            return true;
+    // Return whether checks of the given level are run with the given
+    // validation options (see Element.validate()). Without a level,
+    // checks of levels 1 and 2 are run.
+    var validationLevel = function(options, level) {
+        if (!hasLevel(options)) {
+            return level <= 2;
         }
+        return level <= options.level;
     };
 
-    Element.prototype.validateFeats = function(feats, issues) {
-        issues = (issues !== undefined ? issues : []);
-        
-        if (!this.validateField(feats, 'FEATS', issues)) {
-            return false;
-        } else if (feats === '_') {
-            return true;
-        }
-        var initialIssueCount = issues.length;
-        var featarr = feats.split('|');
-        var featmap = {};
-        var prevName = null;
-        for (var i=0; i<featarr.length; i++) {
-            var feat = featarr[i];
-            var m = feat.match(featureRegex);
-            if (!m) {
-                // TODO more descriptive issue
-                issues.push('invalid FEATS entry: "'+feat+'"');
-                continue;
-            }
-            var name = m[1], valuestr = m[2];
-            if (prevName !== null && 
-                name.toLowerCase() < prevName.toLowerCase()) {
-                issues.push('features must be ordered alphabetically ' +
-                            '(case-insensitive): "'+name+'" < "'+prevName+'"');
-                noIssue = false;
+    // Return true iff the given validation options give a level.
+    var hasLevel = function(options) {
+        return (!!options && options.level !== undefined &&
+                options.level !== null);
+    };
+
+    // Return the label inventory to check labels against in checks of
+    // the given level with the given validation options, combined with
+    // the universal inventory for lookup, or null if labels are not
+    // checked. Without a level, labels are checked in all levels if
+    // a language is given. Languages that are not registered use the
+    // universal inventory only.
+    var languageInventory = function(options, level) {
+        var code = (options ? options.language : undefined);
+
+        if (code === undefined || code === null) {
+            if (!hasLevel(options) || options.level < level) {
+                return null;
             }
-            prevName = name;
-            var values = valuestr.split(',');
-            var valuemap = {}, validValues = [];
-            for (var j=0; j<values.length; j++) {
-                var value = values[j];
-                var m = value.match(featureValueRegex);
-                if (!m) {
-                    issues.push('invalid FEATS value: "'+value+'"');
-                    continue;
+            code = 'ud';
+        } else if (hasLevel(options) && options.level < level) {
+            return null;
+        }
+        if (combinedInventories[code] === undefined) {
+            combinedInventories[code] = combineInventories(
+                universalInventory,
+                (languages.hasOwnProperty(code) ? languages[code] : {}));
+        }
+
+        return combinedInventories[code];
+    };
+
+    // Return the given universal and language inventories combined
+    // into an object of lookup tables.
+    var combineInventories = function(universal, language) {
+        var combined = {
+            upos: lookupTable(universal.upos),
+            deprels: lookupTable(universal.deprels),
+            subtypes: (language.deprels !== undefined ?
+                       lookupTable(language.deprels) : null),
+            features: {},
+            featuresByUpos: {}
+        };
+
+        var sources = [universal.features, language.features || {}];
+        for (var i=0; i<sources.length; i++) {
+            for (var name in sources[i]) {
+                if (combined.features[name] === undefined) {
+                    combined.features[name] = {};
                 }
-                if (valuemap[value] !== undefined) {
-                    issues.push('duplicate feature value: "'+value+'"');
-                    continue;
+                var values = sources[i][name];
+                for (var j=0; j<values.length; j++) {
+                    combined.features[name][values[j]] = true;
                 }
-                valuemap[value] = true;
-                validValues.push(value);
-            }
-            if (featmap[name] !== undefined) {
-                issues.push('duplicate feature name: "'+name+'"');
-                continue;
-            }
-            if (validValues.length !== 0) {
-                featmap[name] = validValues;
             }
         }
-        return issues.length === initialIssueCount;
+        var byUpos = language.featuresByUpos || {};
+        for (var upos in byUpos) {
+            combined.featuresByUpos[upos] = lookupTable(byUpos[upos]);
+        }
+
+        return combined;
     };
 
-    Element.prototype.validateHead = function(head, issues) {
-        issues = (issues !== undefined ? issues : []);
+    // Return an object with the given values as keys (mapped to true).
+    var lookupTable = function(values) {
+        var table = {};
 
-        // TODO: consider checking that DEPREL is "root" iff HEAD is 0.
-        
-        if (head === null) {
-            return true; // exceptional case for Element.repair()
-        } else if (!this.validateField(head, 'HEAD', issues)) {
-            return false;
-        } else if (this.isEmptyNode() && head === '_') {
-            return true; // underscore permitted for empty nodes.
-        } else if (!head.match(/^\d+$/)) {
-            issues.push('HEAD must be an ID or zero: "'+head+'"');
-            return false;
-        } else {
-            return true;
+        for (var i=0; i<values.length; i++) {
+            table[values[i]] = true;
         }
-    };
 
-    Element.prototype.validateDeprel = function(deprel, issues) {
-        issues = (issues !== undefined ? issues : []);
+        return table;
+    };
 
-        if (!this.validateField(deprel, 'DEPREL', issues)) {
-            return false;
-        } else {
-            return true;
+    // Return the values of the named feature in the given inventory
+    // as a lookup table, or null if the feature is unknown. Layered
+    // features (e.g. "Number[psor]") take the values of the base
+    // feature unless declared separately.
+    var featureValues = function(inventory, name) {
+        if (inventory.features.hasOwnProperty(name)) {
+            return inventory.features[name];
+        }
+        var base = name.replace(/\[.*\]$/, '');
+        if (base !== name && inventory.features.hasOwnProperty(base)) {
+            return inventory.features[base];
         }
+
+        return null;
     };
 
-    Element.prototype.validateDeps = function(deps, issues) {
-        issues = (issues !== undefined ? issues : []);
+    // Return whether the given inventory permits the named feature
+    // for words with the given UPOS.
+    var featurePermitted = function(inventory, upos, name) {
+        var permitted = inventory.featuresByUpos[upos];
 
-        // TODO: consider checking that deprel is "root" iff head is 0.
+        return (permitted === undefined ||
+                permitted.hasOwnProperty(name) ||
+                permitted.hasOwnProperty(name.replace(/\[.*\]$/, '')));
+    };
 
-        if (!this.validateField(deps, 'DEPS', issues)) {
-            return false;
-        } else if (deps === '_') {
-            return true;
-        }
-        var deparr = deps.split('|');
-        var prevHead = null;
-        // TODO: don't short-circuit on first error
-        for (var i=0; i<deparr.length; i++) {
-            var dep = deparr[i];
-            m = dep.match(/^(\d+(?:\.\d+)?):(\S+)$/);
-            if (!m) {
-                // TODO more descriptive issue
-                issues.push('invalid DEPS: "'+deps+'"');
-                return false;
+    // Return FEATS for the given element with only the features and
+    // values found and permitted in the label inventories given by the
+    // validation options, "_" if none.
+    var permittedFeatures = function(element, options) {
+        var inventory = languageInventory(options, 4),
+            uposInventory = languageInventory(options, 5),
+            nameVals = element.features(),
+            valuesByName = {};
+
+        for (var i=0; i<nameVals.length; i++) {
+            var name = nameVals[i][0],
+                value = nameVals[i][1],
+                known = featureValues(inventory, name);
+            if (known === null || !known.hasOwnProperty(value) ||
+                (uposInventory !== null &&
+                 !featurePermitted(uposInventory, element.upostag, name))) {
+                continue;
             }
-            var head = m[1], deprel = m[2];
-            if (prevHead !== null &&
-                parseFloat(head) < parseFloat(prevHead)) {
-                issues.push('DEPS must be ordered by head index');
-                return false;
+            if (valuesByName[name] === undefined) {
+                valuesByName[name] = [];
+            }
+            if (valuesByName[name].indexOf(value) === -1) {
+                valuesByName[name].push(value);
             }
-            prevHead = head;
         }
-        return true;
+
+        return featsString(valuesByName);
     };
 
-    Element.prototype.validateMisc = function(misc, issues) {
-        issues = (issues !== undefined ? issues : []);
+    /*
+     * Miscellaneous support functions.
+     */
 
-        if (!this.validateField(misc, 'MISC', issues)) {
-            return false;
-        } else {
-            return true;
-        }
-    };
+    // Return FEATS for the given object mapping feature names to lists
+    // of values: sorted by name (case-insensitively), with values
+    // sorted and comma-joined. Any given unparsed entries are kept
+    // verbatim in name order. "_" if empty.
+    var featsString = function(map, unparsed) {
+        unparsed = (unparsed !== undefined ? unparsed : []);
+        var caseless = function(a, b) {
+            a = a.toLowerCase();
+            b = b.toLowerCase();
+            return a < b ? -1 : (a > b ? 1 : 0);
+        };
+        var byName = function(a, b) {
+            return caseless(a.split('=')[0], b.split('=')[0]);
+        };
 
-    Element.prototype.validHeadReference = function(elementById) {
-        return (this.head === '_' || this.head === null || this.head === '0' ||
-                elementById[this.head] !== undefined);
-    };
+        var feats = Object.keys(map).map(function(name) {
+            return name + '=' + map[name].slice().sort(caseless).join(',');
+        }).concat(unparsed).sort(byName);
 
-    Element.prototype.isWord = function() {
-        // word iff ID is an integer
-        return !!this.id.match(/^\d+$/);
+        return feats.length !== 0 ? feats.join('|') : '_';
     };
 
-    Element.prototype.isMultiword = function() {
-        return !!this.id.match(/^\d+-\d+$/);
-    };
+    // Return the entries of the given FEATS that do not parse (see
+    // Element.features()), other than those of the named feature.
+    var unparsedFeatures = function(feats, name) {
+        if (feats === '_' || feats === null) {
+            return [];
+        }
 
-    Element.prototype.isEmptyNode = function() {
-        return !!this.id.match(/^\d+\.\d+$/);
+        return feats.split('|').filter(function(feat) {
+            return (feat !== '' && !featureRegex.test(feat) &&
+                    feat.split('=')[0] !== name);
+        });
     };
 
-    Element.prototype.rangeFrom = function() {
-        return parseInt(this.id.match(/^(\d+)-\d+$/)[1], 10);
-    };
+    // Return the text formed by the forms of the given tokens with
+    // the spacing given by the corresponding spacing elements (see
+    // Element.spacesAfter()), and the (start, end) offsets of each
+    // token in the text.
+    var surfaceText = function(tokens, spacing) {
+        var text = '',
+            offsets = [];
 
-    Element.prototype.rangeTo = function() {
-        return parseInt(this.id.match(/^\d+-(\d+)$/)[1], 10);
-    };
+        for (var i=0; i<tokens.length; i++) {
+            offsets.push([text.length, text.length + tokens[i].form.length]);
+            text += tokens[i].form;
+            if (i < tokens.length-1) {
+                text += spacing[i].spacesAfter();
+            }
+        }
 
-    Element.prototype.isToken = function(inRange) {
-        // token iff multiword or not included in a multiword range
-        return this.isMultiword() || !inRange[this.id];
+        return { text: text, offsets: offsets };
     };
 
-    // return list of (DEPENDENT, HEAD, DEPREL) lists
-    Element.prototype.dependencies = function(skipHead) {
-        skipHead = (skipHead !== undefined ? skipHead : false);
+    // escapes in SpacesAfter values in MISC
+    var spacesAfterEscapes = {
+        s: ' ',
+        t: '\t',
+        r: '\r',
+        n: '\n',
+        p: '|'
+    };
 
-        var elemDeps = [];
-        if (!skipHead && this.head !== '_' && this.head !== null) {
-            elemDeps.push([this.id, this.head, this.deprel]);
+    // Return the given string in Unicode normalization form C (where
+    // supported) without zero-width or control characters, and with
+    // non-breaking spaces replaced by spaces.
+    var normalizeCharacters = function(text) {
+        if (typeof text !== 'string') {
+            return text;
         }
-        if (this.deps != '_') {
-            var deparr = this.deps.split('|');
-            for (var i=0; i<deparr.length; i++) {
-                var dep = deparr[i];
-                m = dep.match(dependencyRegex);
-                if (m) {
-                    elemDeps.push([this.id, m[1], m[2]]);
-                } else {
-                    console.log('internal error: dependencies(): invalid DEPS',
-                                this.deps);
-                }
-            }
+        if (text.normalize !== undefined) {
+            text = text.normalize();
         }
-        return elemDeps;
-    }
+        text = text.replace(new RegExp(zeroWidthRegex.source, 'g'), '');
+        text = text.replace(new RegExp(controlCharacterRegex.source, 'g'), '');
+        text = text.replace(new RegExp(nonBreakingSpaceRegex.source, 'g'), ' ');
 
-    // return list of (name, value) pairs
-    Element.prototype.features = function() {
-        var nameVals = [];
-        if (this.feats === '_') {
-            return [];
+        return text.length !== 0 ? text : '_';
+    };
+
+    // Return brat data for the given document, merged over its
+    // sentences (see Document.toBrat()). If repair is truthy, sentences
+    // are first validated and repaired, and discarded if that fails.
+    var mergeBratData = function(document, includeEmpty, columns, repair) {
+        var mergedBratData = {},
+            textOffset = 0;
+        var categories = [
+            'entities',
+            'attributes',
+            'relations',
+            'comments',
+            'styles',
+            'sentlabels'
+        ];
+        for (var i=0; i<categories.length; i++) {
+            mergedBratData[categories[i]] = [];
         }
-        var featarr = this.feats.split('|');
-        for (var i=0; i<featarr.length; i++) {
-            var feat = featarr[i];
-            var m = feat.match(featureRegex);
-            if (!m) {
-                continue;
+        mergedBratData['text'] = '';
+        for (var i=0; i<document.sentences.length; i++) {
+            var sentence = document.sentences[i];
+
+            var issues = (repair ? sentence.validate() : []);
+            for (var j=0; j<issues.length; j++) {
+                document.addIssue(issues[j]);
             }
-            var name = m[1], valuestr = m[2];
-            var values = valuestr.split(',');
-            for (var j=0; j<values.length; j++) {
-                var value = values[j];
-                var m = value.match(featureValueRegex);
-                if (!m) {
+            if (hasErrors(issues)) {
+                if (!sentence.repair(document.logger)) {
+                    document.addIssue(new Issue('repair-failed',
+                                                'repair failed, discarding '+
+                                                'sentence',
+                                                { sentenceId: sentence.id }));
                     continue;
                 }
-                nameVals.push([name, value]);
+            }
+            sentence.setBaseOffset(textOffset !== 0 ? textOffset + 1 : 0);
+            var bratData = sentence.toBrat(includeEmpty, columns);
+
+            // merge
+            if (mergedBratData['text'].length !== 0) {
+                mergedBratData['text'] += '\n';
+                textOffset += 1;
+            }
+            mergedBratData['text'] += bratData['text'];
+            textOffset += bratData['text'].length;
+            for (var j=0; j<categories.length; j++) {
+                var c = categories[j];
+                mergedBratData[c] = mergedBratData[c].concat(bratData[c]);
+            }
+        }
+
+        return mergedBratData;
+    };
+
+    // Set HEAD, DEPREL and DEPS (if the sentence has an enhanced graph)
+    // of the given element from the given list of (HEAD, DEPREL)
+    // relations from brat (see fromBrat()). The current basic relation
+    // is kept if still present, and otherwise replaced by the first
+    // relation that is not in the enhanced graph. As brat shows basic
+    // and enhanced relations together, a kept basic relation is only
+    // included in DEPS if it was there before.
+    var setBratRelations = function(sentence, element, relations,
+                                    report) {
+        var enhanced = sentence.isEnhanced(),
+            oldDeps = element.enhancedDeps(),
+            kept = null,
+            has = function(list, head, deprel) {
+                return list.some(function(r) {
+                    return r[0] === head && r[1] === deprel;
+                });
+            };
+
+        if (element.isWord()) {
+            var basic = relations.filter(function(r) {
+                return r[0].indexOf('.') === -1;
+            });
+            if (basic.length === 0) {
+                if (element.head !== '0') {
+                    report('no head for '+sentence.id+'-T'+element.id+
+                           ', keeping HEAD '+element.head);
+                }
+            } else if (has(basic, element.head, element.deprel)) {
+                kept = [element.head, element.deprel];
+            } else {
+                var added = basic.filter(function(r) {
+                    return !has(oldDeps, r[0], r[1]);
+                });
+                var chosen = (added.length !== 0 ? added[0] : basic[0]);
+                element.head = chosen[0];
+                element.deprel = chosen[1];
             }
         }
-        return nameVals;
+        if (enhanced && relations.length !== 0) {
+            element.deps = depsString(relations.filter(function(r) {
+                return (kept === null || !has([kept], r[0], r[1]) ||
+                        has(oldDeps, r[0], r[1]));
+            }));
+        } else if (relations.length > 1) {
+            report('multiple heads for '+sentence.id+'-T'+element.id+
+                   ' in a sentence without DEPS, using HEAD '+element.head);
+        }
     };
 
-    // Check validity of the element. Return list of strings
-    // representing issues found in validation (empty list if none).
-    Element.prototype.validate = function() {
-        var issues = [];
-
-        this.validateId(this.id, issues);
-        this.validateForm(this.form, issues);
-        
-        // multiword tokens (elements with range IDs) are (locally) valid
-        // iff all remaining fields (3-10) contain just an underscore.
-        if (this.isMultiword()) {
-            if (this.lemma != '_' || 
-                this.upostag != '_' ||
-                this.xpostag != '_' ||
-                this.feats != '_' ||
-                this.head != '_' ||
-                this.deprel != '_' ||
-                this.deps != '_' ||
-                this.misc != '_') {
-                issues.push('non-underscore field for multiword token');
-            }
-            return issues;
-        }
-        // if we're here, not a multiword token.
+    // Return the given label as a brat type name, replacing characters
+    // other than letters, digits, "_" and "-" (e.g. ":" in "obl:tmod")
+    // with "_".
+    var bratTypeName = function(label) {
+        return String(label).replace(/[^A-Za-z0-9_\-]/g, '_');
+    };
 
-        this.validateLemma(this.lemma, issues);
-        this.validateUpostag(this.upostag, issues);
-        this.validateXpostag(this.xpostag, issues);
-        this.validateFeats(this.feats, issues);
-        this.validateHead(this.head, issues);
-        this.validateDeprel(this.deprel, issues);
-        this.validateDeps(this.deps, issues);
-        this.validateMisc(this.misc, issues);
+    // brat standoff annotation lines (see
+    // Document.fromBratStandoff()).
+    var bratEntityRegex = /^(T\d+)\t(\S+) (\d+ \d+(?:;\d+ \d+)*)\t/;
+    var bratAttributeRegex = /^(A\d+)\t(\S+) (T\d+)(?: (\S+))?$/;
+    var bratRelationRegex = /^(R\d+)\t(\S+) Arg1:(T\d+) Arg2:(T\d+)$/;
+    var bratNoteRegex = /^#\d+\t(\S+) (T\d+)\t(.*)$/;
+
+    // Return brat annotation.conf declaring the given types (see
+    // Document.toBratStandoff()).
+    var bratAnnotationConf = function(types) {
+        var lines = ['[entities]'];
+
+        lines = lines.concat(Object.keys(types.entities).sort());
+        lines.push('', '[relations]',
+                   '<OVERLAP> Arg1:<ENTITY>, Arg2:<ENTITY>, '+
+                   '<OVL-TYPE>:<ANY>');
+        Object.keys(types.relations).sort().forEach(function(type) {
+            lines.push(type + ' Arg1:<ENTITY>, Arg2:<ENTITY>');
+        });
+        lines.push('', '[events]', '', '[attributes]');
+        Object.keys(types.attributes).sort().forEach(function(name) {
+            var values = Object.keys(types.attributes[name].values).sort();
+            lines.push(name + ' Arg:<ENTITY>, Value:' + values.join('|'));
+        });
 
-        return issues;
+        return lines.join('\n') + '\n';
     };
 
-    // Attempt to repair a non-valid element. Return true iff the
-    // element is valid following repair, false otherwise.
-    Element.prototype.repair = function(log) {
-        log = (log !== undefined ? log : nullLogger);
-
-        if (!this.validateId(this.id)) {
-            return false; // can't be helped
-        } 
+    // Return brat visual.conf with labels for the given types (see
+    // Document.toBratStandoff()).
+    var bratVisualConf = function(types) {
+        var lines = ['[labels]'],
+            categories = ['entities', 'relations'];
 
-        if (!this.validateForm(this.form)) {
-            log('repair: blanking invalid FORM');
-            this.form = '<ERROR>';
+        for (var i=0; i<categories.length; i++) {
+            var labels = types[categories[i]];
+            Object.keys(labels).sort().forEach(function(type) {
+                lines.push(type + ' | ' + labels[type]);
+            });
         }
+        Object.keys(types.attributes).sort().forEach(function(name) {
+            lines.push(name + ' | ' + types.attributes[name].label);
+        });
+        lines.push('', '[drawing]',
+                   'SPAN_DEFAULT\tfgColor:black, bgColor:lightgreen, '+
+                   'borderColor:darken',
+                   'ARC_DEFAULT\tcolor:black, arrowHead:triangle-5',
+                   'ATTRIBUTE_DEFAULT\tglyph:*');
 
-        if (this.isMultiword()) {
-            // valid as long as everything is blank
-            this.lemma = '_'; 
-            this.upostag = '_';
-            this.xpostag = '_';
-            this.feats = '_';
-            this.head = '_';
-            this.deprel = '_';
-            this.deps = '_';
-            this.misc = '_';
-            return true;
-        }
-        // if we're here, not a multiword token.
+        return lines.join('\n') + '\n';
+    };
 
-        if(!this.validateLemma(this.lemma)) {
-            log('repair: blanking invalid LEMMA');
-            this.lemma = '<ERROR>';
-        }
+    // Return map from ID to sentence for the given sentences.
+    var sentenceIndex = function(sentences) {
+        var index = {};
 
-        if(!this.validateUpostag(this.upostag)) {
-            log('repair: blanking invalid UPOSTAG');
-            this.upostag = '_'; // TODO: not valid
+        for (var i=0; i<sentences.length; i++) {
+            index[sentences[i].id] = sentences[i];
         }
 
-        if(!this.validateXpostag(this.xpostag)) {
-            log('repair: blanking invalid XPOSTAG');
-            this.xpostag = '_';
-        }
+        return index;
+    };
 
-        if(!this.validateFeats(this.feats)) {
-            log('repair: blanking invalid FEATS');
-            this.feats = '_';
-        }
+    // fields compared in Sentence.diff()
+    var diffFields = [
+        'LEMMA', 'UPOS', 'XPOS', 'FEATS', 'HEAD', 'DEPREL', 'DEPS', 'MISC'
+    ];
 
-        if(!this.validateHead(this.head)) {
-            log('repair: blanking invalid HEAD');
-            this.head = null; // note: exceptional case
+    // Return the FEATS (comma-joined values) or MISC of the given
+    // element as an object mapping keys to values.
+    var keyValueMap = function(element, field) {
+        if (field === 'MISC') {
+            return element.miscMap();
         }
 
-        if(!this.validateDeprel(this.deprel)) {
-            log('repair: blanking invalid DEPREL');
-            this.deprel = '_'; // TODO: not valid
+        var map = element.featureMap();
+        for (var name in map) {
+            map[name] = map[name].join(',');
         }
+        return map;
+    };
 
-        if(!this.validateDeps(this.deps)) {
-            log('repair: blanking invalid DEPS');
-            this.deps = '_';
-        }
+    // Compare the given word or empty node IDs (e.g. "1", "1.2") by
+    // position, comparing the parts after "." as integers so that
+    // "1.2" precedes "1.10".
+    var compareNodeIds = function(a, b) {
+        var x = String(a).split('.'),
+            y = String(b).split('.');
 
-        if(!this.validateMisc(this.misc)) {
-            log('repair: blanking invalid MISC');
-            this.misc = '_';
-        }
+        return ((parseInt(x[0], 10) - parseInt(y[0], 10)) ||
+                (parseInt(x[1] || '0', 10) - parseInt(y[1] || '0', 10)));
+    };
+
+    // Return DEPS for the given list of (HEAD, DEPREL) pairs: sorted
+    // by head, without duplicates. "_" if empty.
+    var depsString = function(deps) {
+        var seen = {};
 
-        var issues = this.validate();
-        return issues.length === 0;
+        deps = deps.filter(function(d) {
+            var key = d[0] + ':' + d[1];
+            return seen[key] ? false : (seen[key] = true);
+        });
+        deps.sort(function(a, b) {
+            return compareNodeIds(a[0], b[0]);
+        });
+
+        return (deps.length === 0 ? '_' : deps.map(function(d) {
+            return d[0] + ':' + d[1];
+        }).join('|'));
     };
 
-    /*
-     * Miscellaneous support functions.
-     */
+    // Return MISC for the given list of (key, value) pairs, "_" if
+    // empty.
+    var miscString = function(pairs) {
+        var entries = pairs.map(function(p) {
+            return p[1] !== null ? p[0] + '=' + p[1] : p[0];
+        });
+
+        return entries.length !== 0 ? entries.join('|') : '_';
+    };
+
+    var valueOrNull = function(value) {
+        return value !== undefined ? value : null;
+    };
 
-    var repairFields = function(fields, logger) {
+    var repairFields = function(fields, logger, count) {
         if (logger === undefined) {
             logger = nullLogger;
         }
-        if (fields.length > 10) {
-            logger('repair: discarding fields > 10');
-            fields = fields.slice(0, 10);
+        count = (count !== undefined ? count : 10);
+        if (fields.length > count) {
+            logger('repair: discarding fields > '+count);
+            fields.splice(count, fields.length - count);
         } else {
             logger('repair: filling in empty ("_") for missing fields');
-            for (var m=0; m<10-fields.length; m++) {
+            while (fields.length < count) {
                 fields.push('_');
             }
         }
     };
 
+    // Return a new Element with values from the given fields for the
+    // given columns. Standard columns not given are blank ("_"), with
+    // HEAD blanked as by Element.repair().
+    var newElement = function(fields, columns, lineidx, line) {
+        if (columns === conllUColumns) {
+            return new Element(fields, lineidx, line);
+        }
+
+        var standard = [];
+        for (var i=0; i<conllUColumns.length; i++) {
+            var index = columns.indexOf(conllUColumns[i]);
+            standard.push(index !== -1 ? fields[index] :
+                          conllUColumns[i] === 'HEAD' ? null : '_');
+        }
+        var element = new Element(standard, lineidx, line);
+        for (var i=0; i<columns.length; i++) {
+            if (standardColumns[columns[i]] === undefined) {
+                element.extra[columns[i]] = fields[i];
+            }
+        }
+
+        return element;
+    };
+
+    var isColumnsDeclaration = function(line) {
+        return columnsDeclarationRegex.test(line);
+    };
+
+    // standard CoNLL-U columns
+    var conllUColumns = [
+        'ID', 'FORM', 'LEMMA', 'UPOS', 'XPOS', 'FEATS', 'HEAD', 'DEPREL',
+        'DEPS', 'MISC'
+    ];
+
+    // Element properties for standard CoNLL-U columns
+    var standardColumns = {
+        ID: 'id',
+        FORM: 'form',
+        LEMMA: 'lemma',
+        UPOS: 'upostag',
+        XPOS: 'xpostag',
+        FEATS: 'feats',
+        HEAD: 'head',
+        DEPREL: 'deprel',
+        DEPS: 'deps',
+        MISC: 'misc'
+    };
+
+    // Return function converting input chunks into strings. Binary
+    // chunks are decoded as UTF-8, keeping track of characters split
+    // across chunks. Call without a chunk at end of input to flush
+    // any incomplete character (decoded as U+FFFD).
+    var chunkDecoder = function() {
+        var decoder = null;
+
+        return function(chunk) {
+            if (chunk === undefined) {
+                return decoder !== null ? decoder.decode() : '';
+            }
+            if (typeof chunk === 'string') {
+                return chunk;
+            }
+            if (decoder === null && typeof TextDecoder !== 'undefined') {
+                decoder = new TextDecoder('utf-8');
+            }
+            if (decoder !== null) {
+                return decoder.decode(chunk, { stream: true });
+            } else {
+                return String(chunk);
+            }
+        };
+    };
+
     var strictFieldSplitter = function(line) {
         // strict CoNLL format parsing: only split on TAB, no extra space.
         if (line.length === 0) {
@@ -1329,6 +6917,32 @@ var ConllU = (function(window, undefined) {
         return line.length !== 0 && line[0] === '#';
     };
 
+    // Return [key, value] for a metadata comment, null for other
+    // comments.
+    var parseMetadata = function(comment) {
+        var m = comment.match(metadataRegex);
+        if (m) {
+            return [m[1], m[2]];
+        }
+        m = comment.match(metadataFlagRegex);
+        if (m) {
+            return [m[1], true];
+        }
+        return null;
+    };
+
+    // Return rank of metadata key in the conventional comment order.
+    var metadataRank = function(key) {
+        var rank = metadataOrder.indexOf(key);
+
+        return rank !== -1 ? rank : metadataOrder.length;
+    };
+
+    // conventional order of standard metadata keys in comments
+    var metadataOrder = [
+        'newdoc', 'newdoc id', 'newpar', 'newpar id', 'sent_id', 'text'
+    ];
+
     var hasSpace = function(s) {
         return !!s.match(/\s/);
     };
@@ -1360,6 +6974,19 @@ var ConllU = (function(window, undefined) {
         return s;
     };
 
+    /*
+     * Return a shallow copy of the given object.
+     */
+    var shallowCopy = function(o) {
+        var copy = {};
+        for (var key in o) {
+            if (o.hasOwnProperty(key)) {
+                copy[key] = o[key];
+            }
+        }
+        return copy;
+    };
+
     /*
      * Return a deep copy of the given object. Note: not particularly
      * efficient, and all fields must be serializable for this to work
@@ -1369,6 +6996,471 @@ var ConllU = (function(window, undefined) {
         return JSON.parse(JSON.stringify(o));
     };
 
+    /*
+     * SVG rendering (see Sentence.toSvg()). Images are built as
+     * strings, and text widths estimated from the characters.
+     */
+
+    // Return estimated width of the given text in pixels.
+    var svgTextWidth = function(text, fontSize) {
+        var width = 0;
+
+        for (var i=0; i<text.length; i++) {
+            var c = text.charAt(i);
+            if (/[\u0300-\u036F\u200B-\u200F]/.test(c)) {
+                continue;    // combining mark or zero-width
+            }
+            width += (wideCharacterRegex.test(c) ? 1 : 0.6);
+        }
+
+        return width * fontSize;
+    };
+
+    // Return the given text escaped for SVG content and attributes.
+    var svgEscape = function(s) {
+        return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').
+            replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    };
+
+    // Return the given coordinate as a string, rounded to one decimal.
+    var svgNumber = function(n) {
+        return String(Math.round(n * 10) / 10);
+    };
+
+    // Return SVG element with the given attributes (skipping undefined
+    // values) and content, if any.
+    var svgElement = function(name, attributes, content) {
+        var s = '<' + name;
+
+        for (var key in attributes) {
+            var value = attributes[key];
+            if (value === undefined) {
+                continue;
+            }
+            if (typeof value === 'number') {
+                value = svgNumber(value);
+            }
+            s += ' ' + key + '="' + svgEscape(value) + '"';
+        }
+
+        return (content !== undefined ?
+                s + '>' + content + '</' + name + '>' : s + '/>');
+    };
+
+    // Return SVG path data for the given list of commands, each a list
+    // of a command letter followed by numbers.
+    var svgPath = function(commands) {
+        return commands.map(function(c) {
+            return c[0] + c.slice(1).map(svgNumber).join(',');
+        }).join(' ');
+    };
+
+    // Return positions of the given words: centered at x (by ID),
+    // each column of the given width, with the values of the given
+    // rows (columns) for each word.
+    var svgLayout = function(words, rows, rtl, fontSize) {
+        var layout = {
+            words: words,
+            rows: rows,
+            fontSize: fontSize,
+            lineHeight: fontSize * 1.5,
+            x: {},
+            width: {},
+            values: {}
+        };
+        var x = fontSize,
+            ordered = (rtl ? words.slice().reverse() : words);
+
+        for (var i=0; i<ordered.length; i++) {
+            var word = ordered[i],
+                values = rows.map(function(r) { return word.getColumn(r); }),
+                width = Math.max.apply(null, values.map(function(v, j) {
+                    return svgTextWidth(v, j === 0 ? fontSize :
+                                        fontSize * 0.85);
+                })) + fontSize;
+            layout.values[word.id] = values;
+            layout.width[word.id] = width;
+            layout.x[word.id] = x + width / 2;
+            x += width;
+        }
+        layout.totalWidth = x + fontSize;
+
+        return layout;
+    };
+
+    // Return list of arcs between the given words for HEAD, and for
+    // DEPS relations not in HEAD if enhanced is truthy. Arcs from the
+    // root have head "0".
+    var svgArcs = function(words, enhanced) {
+        var shown = { '0': true },
+            arcs = [];
+
+        for (var i=0; i<words.length; i++) {
+            shown[words[i].id] = true;
+        }
+        for (var i=0; i<words.length; i++) {
+            var word = words[i],
+                basic = (word.isWord() && word.head !== '_' &&
+                         word.head !== null);
+            if (basic) {
+                arcs.push({ head: word.head, dependent: word.id,
+                            deprel: word.deprel, enhanced: false });
+            }
+            var deps = (enhanced ? word.enhancedDeps() : []);
+            for (var j=0; j<deps.length; j++) {
+                if (basic && deps[j][0] === word.head &&
+                    deps[j][1] === word.deprel) {
+                    continue;
+                }
+                arcs.push({ head: deps[j][0], dependent: word.id,
+                            deprel: deps[j][1], enhanced: true });
+            }
+        }
+
+        return arcs.filter(function(a) { return shown[a.head]; });
+    };
+
+    // Return styles from "# visual-style" comments (see
+    // Sentence.bratStyles()) as maps from word IDs and from
+    // "HEAD DEPENDENT DEPREL" strings to style key-value maps.
+    var svgStyles = function(sentence, includeEmpty) {
+        var bratStyles = sentence.bratStyles(includeEmpty),
+            prefix = sentence.id + '-T',
+            styles = { nodes: {}, arcs: {} };
+        var strip = function(id) {
+            return (id.indexOf(prefix) === 0 ?
+                    id.substring(prefix.length) : id);
+        };
+
+        for (var i=0; i<bratStyles.length; i++) {
+            var reference = bratStyles[i][0],
+                table = styles.nodes,
+                key;
+            if (Array.isArray(reference)) {
+                table = styles.arcs;
+                key = [strip(reference[0]), strip(reference[1]),
+                       reference[2]].join(' ');
+            } else {
+                key = strip(reference);
+            }
+            if (table[key] === undefined) {
+                table[key] = {};
+            }
+            table[key][bratStyles[i][1]] = bratStyles[i][2];
+        }
+
+        return styles;
+    };
+
+    // Return the style map of the given arc (see svgStyles()).
+    var svgArcStyle = function(arc, styles) {
+        var key = [arc.head, arc.dependent, arc.deprel].join(' ');
+
+        return styles.arcs[key] || {};
+    };
+
+    // Assign each of the given arcs a level above all shorter arcs
+    // that overlap it. Return the highest level, 0 if no arcs.
+    var svgArcLevels = function(arcs, layout) {
+        var span = function(a) {
+            var x1 = layout.x[a.head],
+                x2 = layout.x[a.dependent];
+            return [Math.min(x1, x2), Math.max(x1, x2)];
+        };
+        var sorted = arcs.slice().sort(function(a, b) {
+            return (span(a)[1] - span(a)[0]) - (span(b)[1] - span(b)[0]);
+        });
+        var highest = 0;
+
+        for (var i=0; i<sorted.length; i++) {
+            var s = span(sorted[i]);
+            sorted[i].level = 1;
+            for (var j=0; j<i; j++) {
+                var t = span(sorted[j]);
+                if (t[0] < s[1] && t[1] > s[0]) {
+                    sorted[i].level = Math.max(sorted[i].level,
+                                               sorted[j].level + 1);
+                }
+            }
+            highest = Math.max(highest, sorted[i].level);
+        }
+
+        return highest;
+    };
+
+    // Return arrowhead pointing from (x1, y1) to (x2, y2).
+    var svgArrow = function(x1, y1, x2, y2, size, color) {
+        var length = Math.sqrt((x2-x1)*(x2-x1) + (y2-y1)*(y2-y1)) || 1,
+            ux = (x2 - x1) / length,
+            uy = (y2 - y1) / length,
+            bx = x2 - ux * size,
+            by = y2 - uy * size;
+        var points = [
+            [x2, y2],
+            [bx - uy * size / 2, by + ux * size / 2],
+            [bx + uy * size / 2, by - ux * size / 2]
+        ];
+
+        return svgElement('polygon', {
+            points: points.map(function(p) {
+                return svgNumber(p[0]) + ',' + svgNumber(p[1]);
+            }).join(' '),
+            fill: color
+        });
+    };
+
+    // Return arc label centered at (x, y) on a white background.
+    var svgLabel = function(text, x, y, fontSize, color) {
+        var size = fontSize * 0.85,
+            width = svgTextWidth(text, size) + 4;
+
+        return (svgElement('rect', { x: x - width / 2, y: y - size / 2,
+                                     width: width, height: size,
+                                     fill: '#fff' }) +
+                svgElement('text', { x: x, y: y + size * 0.35,
+                                     'font-size': size, fill: color,
+                                     'text-anchor': 'middle' },
+                           svgEscape(text)));
+    };
+
+    // Return the rows of the given word with their top at y.
+    var svgWord = function(word, layout, y, styles) {
+        var style = styles.nodes[word.id] || {},
+            x = layout.x[word.id],
+            width = layout.width[word.id],
+            lineHeight = layout.lineHeight,
+            parts = [];
+
+        if (style.bgColor !== undefined || style.borderColor !== undefined) {
+            parts.push(svgElement('rect', {
+                x: x - width / 2 + 2, y: y, rx: 3,
+                width: width - 4, height: layout.rows.length * lineHeight,
+                fill: style.bgColor || 'none',
+                stroke: style.borderColor
+            }));
+        }
+        for (var i=0; i<layout.values[word.id].length; i++) {
+            parts.push(svgElement('text', {
+                x: x, y: y + i * lineHeight + lineHeight * 0.7,
+                'text-anchor': 'middle',
+                'font-size': (i === 0 ? undefined : layout.fontSize * 0.85),
+                'font-style': (word.isEmptyNode() ? 'italic' : undefined),
+                fill: (i === 0 ? style.fgColor || '#000' : '#666')
+            }, svgEscape(layout.values[word.id][i])));
+        }
+
+        return parts.join('');
+    };
+
+    // Return brackets with their top at y under the words of each
+    // multiword token, with the token form below. Return the bracket
+    // markup and its height as [markup, height].
+    var svgMultiwords = function(sentence, layout, y) {
+        var multiwords = sentence.multiwords(),
+            fontSize = layout.fontSize,
+            parts = [];
+
+        for (var i=0; i<multiwords.length; i++) {
+            var mw = multiwords[i],
+                left = null,
+                right = null;
+            for (var j=mw.rangeFrom(); j<=mw.rangeTo(); j++) {
+                if (layout.x[j] === undefined) {
+                    continue;
+                }
+                var x1 = layout.x[j] - layout.width[j] / 2 + 3,
+                    x2 = layout.x[j] + layout.width[j] / 2 - 3;
+                left = (left === null ? x1 : Math.min(left, x1));
+                right = (right === null ? x2 : Math.max(right, x2));
+            }
+            if (left === null) {
+                continue;
+            }
+            parts.push(svgElement('path', {
+                d: svgPath([['M', left, y], ['V', y + fontSize * 0.4],
+                            ['H', right], ['V', y]]),
+                fill: 'none', stroke: '#999'
+            }));
+            parts.push(svgElement('text', {
+                x: (left + right) / 2,
+                y: y + fontSize * 0.4 + layout.lineHeight * 0.7,
+                'text-anchor': 'middle', fill: '#333'
+            }, svgEscape(mw.form)));
+        }
+
+        return [parts.join(''), (parts.length !== 0 ?
+                                 fontSize * 0.4 + layout.lineHeight : 0)];
+    };
+
+    // Return SVG document of the given width, height and content.
+    var svgDocument = function(width, height, fontSize, content) {
+        return svgElement('svg', {
+            xmlns: 'http://www.w3.org/2000/svg',
+            width: width, height: height,
+            viewBox: '0 0 ' + svgNumber(width) + ' ' + svgNumber(height),
+            'font-family': 'sans-serif', 'font-size': fontSize
+        }, content);
+    };
+
+    // Return arrow from the root label at the top of the image to the
+    // word at the given x with its top at y.
+    var svgRoot = function(arc, x, y, layout, styles) {
+        var fontSize = layout.fontSize,
+            color = (svgArcStyle(arc, styles).color ||
+                     (arc.enhanced ? '#777' : '#333'));
+
+        return (svgElement('path', {
+                    d: svgPath([['M', x, fontSize * 1.5], ['V', y]]),
+                    fill: 'none', stroke: color,
+                    'stroke-dasharray': (arc.enhanced ? '4,3' : undefined)
+                }) +
+                svgArrow(x, fontSize, x, y, fontSize * 0.5, color) +
+                svgLabel(arc.deprel, x, fontSize, fontSize, color));
+    };
+
+    // Return the sentence drawn as an arc diagram, with HEAD arcs
+    // above the words and other DEPS arcs below.
+    var svgArcDiagram = function(sentence, layout, arcs, styles) {
+        var fontSize = layout.fontSize,
+            unit = fontSize * 1.5,
+            parts = [];
+        var basic = arcs.filter(function(a) {
+            return !a.enhanced && a.head !== '0';
+        });
+        var other = arcs.filter(function(a) {
+            return a.enhanced && a.head !== '0';
+        });
+        var above = svgArcLevels(basic, layout),
+            below = svgArcLevels(other, layout);
+
+        var top = (above + 1) * unit + layout.lineHeight,
+            wordsTop = top + fontSize * 0.3,
+            wordsBottom = wordsTop + layout.rows.length * layout.lineHeight,
+            multiwords = svgMultiwords(sentence, layout,
+                                       wordsBottom + fontSize * 0.3),
+            bottom = wordsBottom + fontSize * 0.6 + multiwords[1];
+
+        // direction -1 draws arc from y upwards, 1 downwards
+        var drawArc = function(arc, y, direction) {
+            var x1 = layout.x[arc.head],
+                x2 = layout.x[arc.dependent],
+                sign = (x2 > x1 ? 1 : -1),
+                level = y + direction * arc.level * unit,
+                r = Math.min(fontSize * 0.5, Math.abs(x2 - x1) / 2),
+                color = (svgArcStyle(arc, styles).color ||
+                         (arc.enhanced ? '#777' : '#333'));
+            parts.push(svgElement('path', {
+                d: svgPath([['M', x1, y], ['V', level - direction * r],
+                            ['Q', x1, level, x1 + sign * r, level],
+                            ['H', x2 - sign * r],
+                            ['Q', x2, level, x2, level - direction * r],
+                            ['V', y]]),
+                fill: 'none', stroke: color,
+                'stroke-dasharray': (arc.enhanced ? '4,3' : undefined)
+            }));
+            parts.push(svgArrow(x2, level, x2, y, fontSize * 0.5, color));
+            parts.push(svgLabel(arc.deprel, (x1 + x2) / 2, level, fontSize,
+                                color));
+        };
+
+        basic.forEach(function(a) { drawArc(a, top, -1); });
+        other.forEach(function(a) { drawArc(a, bottom, 1); });
+        arcs.forEach(function(a) {
+            if (a.head === '0') {
+                parts.push(svgRoot(a, layout.x[a.dependent], top, layout,
+                                   styles));
+            }
+        });
+        layout.words.forEach(function(w) {
+            parts.push(svgWord(w, layout, wordsTop, styles));
+        });
+        parts.push(multiwords[0]);
+
+        var height = bottom + (below !== 0 ? below * unit : 0) + fontSize;
+        return svgDocument(layout.totalWidth, height, fontSize,
+                           parts.join(''));
+    };
+
+    // Return the sentence drawn as a tree, with each word placed at
+    // its depth in the basic tree (empty nodes below their enhanced
+    // heads) and DEPS arcs not in the basic tree dashed.
+    var svgTree = function(sentence, layout, arcs, styles) {
+        var fontSize = layout.fontSize,
+            rowsHeight = layout.rows.length * layout.lineHeight,
+            levelHeight = rowsHeight + fontSize * 3,
+            top = layout.lineHeight + fontSize,
+            depth = {},
+            parts = [];
+
+        var depthOf = function(id, visiting) {
+            if (id === '0') {
+                return -1;
+            }
+            if (depth[id] !== undefined) {
+                return depth[id];
+            }
+            if (visiting[id]) {
+                return 0;    // cycle
+            }
+            visiting[id] = true;
+            var heads = arcs.filter(function(a) {
+                return a.dependent === id && !a.enhanced;
+            });
+            if (heads.length === 0) {
+                heads = arcs.filter(function(a) {
+                    return a.dependent === id;
+                });
+            }
+            var d = (heads.length === 0 ? 0 :
+                     Math.min.apply(null, heads.map(function(a) {
+                         return depthOf(a.head, visiting);
+                     })) + 1);
+            depth[id] = d;
+            return d;
+        };
+        var nodeTop = function(id) {
+            return top + depthOf(id, {}) * levelHeight;
+        };
+
+        var deepest = 0;
+        layout.words.forEach(function(w) {
+            deepest = Math.max(deepest, depthOf(w.id, {}));
+        });
+
+        arcs.forEach(function(a) {
+            var x2 = layout.x[a.dependent],
+                y2 = nodeTop(a.dependent);
+            if (a.head === '0') {
+                parts.push(svgRoot(a, x2, y2, layout, styles));
+                return;
+            }
+            var x1 = layout.x[a.head],
+                y1 = nodeTop(a.head) + rowsHeight,
+                color = (svgArcStyle(a, styles).color ||
+                         (a.enhanced ? '#777' : '#333'));
+            parts.push(svgElement('path', {
+                d: svgPath([['M', x1, y1], ['L', x2, y2]]),
+                fill: 'none', stroke: color,
+                'stroke-dasharray': (a.enhanced ? '4,3' : undefined)
+            }));
+            parts.push(svgArrow(x1, y1, x2, y2, fontSize * 0.5, color));
+            parts.push(svgLabel(a.deprel, (x1 + x2) / 2, (y1 + y2) / 2,
+                                fontSize, color));
+        });
+        layout.words.forEach(function(w) {
+            parts.push(svgWord(w, layout, nodeTop(w.id), styles));
+        });
+
+        var bottom = top + deepest * levelHeight + rowsHeight,
+            multiwords = svgMultiwords(sentence, layout,
+                                       bottom + fontSize * 0.3);
+        parts.push(multiwords[0]);
+
+        var height = bottom + fontSize * 0.3 + multiwords[1] + fontSize;
+        return svgDocument(layout.totalWidth, height, fontSize,
+                           parts.join(''));
+    };
+
     /*
      * Regular expressions for various parts of the format.
      * See https://github.com/UniversalDependencies/docs/issues/33
@@ -1380,6 +7472,31 @@ var ConllU = (function(window, undefined) {
     // match single feature value in FEATS
     var featureValueRegex = /^[A-Z0-9][a-zA-Z0-9]*$/;
 
+    // match CoNLL-U Plus column declaration
+    var columnsDeclarationRegex = /^#\s*global\.columns\s*=\s*(\S.*?)\s*$/;
+
+    // match zero-width characters other than joiners (ZWJ, ZWNJ)
+    var zeroWidthRegex = /[\u200B\u2060\uFEFF]/;
+
+    // match control characters
+    var controlCharacterRegex = /[\u0000-\u001F\u007F-\u009F]/;
+
+    // match non-breaking spaces
+    var nonBreakingSpaceRegex = /[\u00A0\u2007\u202F]/;
+
+    // match feature name, possibly layered ("Number[psor]")
+    var featureNameRegex = /^[A-Z0-9][a-zA-Z0-9]*(?:\[[a-z0-9]+\])?$/;
+
+    // match metadata comment with value ("# key = value")
+    var metadataRegex = /^#\s*([^\s=][^=]*?)\s*=\s*(.*?)\s*$/;
+
+    // match metadata comment without value ("# newdoc", "# newpar")
+    var metadataFlagRegex = /^#\s*(newdoc|newpar)\s*$/;
+
+    // match characters shown double width (CJK, Hangul, fullwidth)
+    var wideCharacterRegex =
+        /[\u1100-\u115F\u2E80-\uA4CF\uAC00-\uD7A3\uF900-\uFAFF\uFF00-\uFF60]/;
+
     // match single (head, deprel) pair in DEPS
     var dependencyRegex = /^(\d+(?:\.\d+)?):(.*)$/;
 
@@ -1387,6 +7504,19 @@ var ConllU = (function(window, undefined) {
 	Document: Document,
 	Sentence: Sentence,
         Element: Element,
+        Issue: Issue,
+        Parser: Parser,
+        Statistics: Statistics,
+        statistics: statistics,
+        Query: Query,
+        search: search,
+        Score: Score,
+        evaluate: evaluate,
+        agreement: agreement,
+        registerLanguage: registerLanguage,
+        universalInventory: universalInventory,
+        registerValidator: registerValidator,
+        unregisterValidator: unregisterValidator,
     };
 
-})(window);
+});
@@ -0,0 +1,27 @@
+// -*- Mode: JavaScript; tab-width: 4; indent-tabs-mode: nil; -*-
+// vim:set ft=javascript ts=4 sw=4 sts=4 cindent:
+
+/*
+ES module interface to the CoNLL-U format library (see conllu.js).
+*/
+
+import ConllU from './conllu.js';
+
+export default ConllU;
+
+export var Document = ConllU.Document;
+export var Sentence = ConllU.Sentence;
+export var Element = ConllU.Element;
+export var Issue = ConllU.Issue;
+export var Parser = ConllU.Parser;
+export var Statistics = ConllU.Statistics;
+export var statistics = ConllU.statistics;
+export var Query = ConllU.Query;
+export var search = ConllU.search;
+export var Score = ConllU.Score;
+export var evaluate = ConllU.evaluate;
+export var agreement = ConllU.agreement;
+export var registerLanguage = ConllU.registerLanguage;
+export var universalInventory = ConllU.universalInventory;
+export var registerValidator = ConllU.registerValidator;
+export var unregisterValidator = ConllU.unregisterValidator;
@@ -0,0 +1,63 @@
+// -*- Mode: JavaScript; tab-width: 4; indent-tabs-mode: nil; -*-
+// vim:set ft=javascript ts=4 sw=4 sts=4 cindent:
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var ConllU = require('../conllu.js');
+
+var example = fs.readFileSync(path.join(__dirname, 'data',
+                                        'example.conllu'), 'utf8');
+
+var parse = function(input) {
+    return new ConllU.Document().parse(input);
+};
+
+test('agreement of identical documents is complete', function() {
+    var result = ConllU.agreement([parse(example), parse(example),
+                                   parse(example)]);
+
+    assert.strictEqual(result.sentences, 2);
+    assert.strictEqual(result.words, 11);
+    assert.strictEqual(result.UPOS.kappa, 1);
+    assert.strictEqual(result.DEPREL.observed, 1);
+    assert.strictEqual(result.UAS, 1);
+    assert.strictEqual(result.LAS, 1);
+});
+
+test('agreement compares labels and attachments', function() {
+    var other = example.replace('PROPN', 'NOUN').
+        replace('1\tobl\t1:obl:a', '2\tnmod\t1:obl:a');
+    var result = ConllU.agreement([parse(example), parse(other)]);
+
+    assert.strictEqual(result.UPOS.observed, 10 / 11);
+    assert.deepStrictEqual(result.UPOS.confusion.PROPN, { NOUN: 1 });
+    assert.strictEqual(result.UAS, 10 / 11);
+    assert.strictEqual(result.LAS, 10 / 11);
+    assert.ok(result.UPOS.kappa > 0.8 && result.UPOS.kappa < 1);
+});
+
+test('agreement skips sentences missing from a document', function() {
+    var logged = [];
+    var other = example.replace('# sent_id = s2', '# sent_id = s3');
+    var result = ConllU.agreement([parse(example), parse(other)],
+                                  function(m) { logged.push(m); });
+
+    assert.strictEqual(result.sentences, 1);
+    assert.strictEqual(result.words, 6);
+    assert.deepStrictEqual(logged, ['agreement: skipping sentence "s2" ' +
+                                    'not found in all documents']);
+});
+
+test('agreement requires two documents', function() {
+    var logged = [];
+
+    assert.strictEqual(ConllU.agreement([parse(example)], function(m) {
+        logged.push(m);
+    }), null);
+    assert.deepStrictEqual(logged, ['agreement: at least two documents ' +
+                                    'required']);
+});
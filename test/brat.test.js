@@ -0,0 +1,101 @@
+// -*- Mode: JavaScript; tab-width: 4; indent-tabs-mode: nil; -*-
+// vim:set ft=javascript ts=4 sw=4 sts=4 cindent:
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var ConllU = require('../conllu.js');
+
+var example = fs.readFileSync(path.join(__dirname, 'data',
+                                        'example.conllu'), 'utf8');
+
+var parse = function(input) {
+    return new ConllU.Document().parse(input);
+};
+
+var messages = function(issues) {
+    return issues.map(function(issue) {
+        return issue.message;
+    });
+};
+
+test('toBrat gives entities, attributes and relations', function() {
+    var data = parse(example).toBrat();
+
+    assert.deepStrictEqual(data.entities[4], ['s1-T5', 'NOUN', [[15, 18]]]);
+    assert.deepStrictEqual(data.attributes[0],
+                           ['s1-A1', 'Mood', 's1-T1', 'Imp']);
+    assert.ok(data.relations.some(function(relation) {
+        return (relation[1] === 'obl' &&
+                relation[2][0][1] === 's1-T1' &&
+                relation[2][1][1] === 's1-T5');
+    }));
+    assert.strictEqual(data.error, false);
+});
+
+test('fromBrat restores the document from toBrat data', function() {
+    var data = JSON.parse(JSON.stringify(parse(example).toBrat()));
+    var document = parse(example);
+
+    assert.deepStrictEqual(document.fromBrat(data), []);
+    assert.strictEqual(document.toConllU(), example);
+});
+
+test('fromBrat maps edited annotations to elements', function() {
+    var data = JSON.parse(JSON.stringify(parse(example).toBrat()));
+    var document = parse(example);
+
+    data.entities[4][1] = 'PROPN';
+    data.attributes = data.attributes.filter(function(attribute) {
+        return attribute[2] !== 's1-T5';
+    });
+    assert.deepStrictEqual(document.fromBrat(data), []);
+
+    var element = document.sentences[0].elements[6];
+    assert.strictEqual(element.upostag, 'PROPN');
+    assert.strictEqual(element.feats, '_');
+});
+
+test('standoff output can be read back', function() {
+    var standoff = parse(example).toBratStandoff();
+    var document = parse(example);
+
+    assert.deepStrictEqual(document.fromBratStandoff(standoff.ann,
+                                                     standoff.txt), []);
+    assert.strictEqual(document.toConllU(), example);
+});
+
+test('standoff annotations that cannot be mapped are warned', function() {
+    var standoff = parse(example).toBratStandoff();
+    var document = parse(example);
+    var ann = standoff.ann.replace(/^(T2\t)\S+/m, '$1NOUN') +
+        'E1\tFoo:T1\n';
+
+    var issues = document.fromBratStandoff(ann, standoff.txt);
+    assert.deepStrictEqual(messages(issues),
+                           ['cannot map annotation "E1\tFoo:T1"']);
+    assert.strictEqual(issues[0].isError(), false);
+    assert.strictEqual(document.sentences[0].elements[2].upostag, 'NOUN');
+});
+
+test('markDifferences styles differing arcs for toBrat', function() {
+    var document = parse(example),
+        other = parse(example.replace('Number=Sing\t1\tobl',
+                                      'Number=Sing\t1\tobj'));
+
+    var differences = document.diff(other);
+    assert.deepStrictEqual(differences.differences, [{
+        sentenceId: 's1', elementId: '5', field: 'DEPREL', feature: null,
+        value: 'obl', otherValue: 'obj'
+    }]);
+
+    var styles = document.markDifferences(differences.differences, 'red');
+    assert.deepStrictEqual(styles,
+                           [[['s1-T1', 's1-T5', 'obl'], 'color', 'red']]);
+    assert.deepStrictEqual(document.toBrat(undefined, undefined, undefined,
+                                           styles).styles, styles);
+    assert.strictEqual(document.toConllU(), example);
+});
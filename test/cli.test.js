@@ -0,0 +1,100 @@
+// -*- Mode: JavaScript; tab-width: 4; indent-tabs-mode: nil; -*-
+// vim:set ft=javascript ts=4 sw=4 sts=4 cindent:
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var childProcess = require('child_process');
+var fs = require('fs');
+var path = require('path');
+
+var bin = path.join(__dirname, '..', 'bin', 'conllu.js'),
+    examplePath = path.join(__dirname, 'data', 'example.conllu'),
+    example = fs.readFileSync(examplePath, 'utf8');
+
+var cycle = ('1\ta\t_\tNOUN\t_\t_\t2\tnsubj\t_\t_\n' +
+             '2\tb\t_\tVERB\t_\t_\t1\tobj\t_\t_\n\n');
+
+// Run the command with the given arguments and standard input,
+// returning the exit status and output.
+var run = function(args, input) {
+    var result = childProcess.spawnSync(process.execPath,
+                                        [bin].concat(args),
+                                        { input: input || '',
+                                          encoding: 'utf8' });
+
+    return { status: result.status, stdout: result.stdout,
+             stderr: result.stderr };
+};
+
+test('validate exits with 0 for valid input', function() {
+    var result = run(['validate', '--level', '3', examplePath]);
+
+    assert.strictEqual(result.status, 0);
+    assert.strictEqual(result.stdout, '');
+});
+
+test('validate reports errors with locations', function() {
+    var result = run(['validate'], cycle);
+
+    assert.strictEqual(result.status, 1);
+    assert.deepStrictEqual(result.stdout.split('\n'), [
+        '<stdin>:1: error [head-cycle] HEAD forms a cycle: 1 -> 2 -> 1',
+        '<stdin>:1: error [missing-root] no word has HEAD 0',
+        ''
+    ]);
+});
+
+test('validate locates issues without a line by sentence', function() {
+    var sentence = '# sent_id = a\n1\tx\t_\tX\t_\t_\t0\troot\t_\t_\n\n';
+    var result = run(['validate'], sentence + sentence);
+
+    assert.strictEqual(result.status, 1);
+    assert.strictEqual(result.stdout,
+                       '<stdin>: sentence S2: error [non-unique-sent-id] '+
+                       'non-unique sent_id "a"\n');
+});
+
+test('repair writes the repaired document', function() {
+    var result = run(['repair', '-'], cycle);
+
+    assert.strictEqual(result.status, 0);
+    assert.strictEqual(result.stdout,
+                       '1\ta\t_\tNOUN\t_\t_\t0\troot\t_\t_\n' +
+                       '2\tb\t_\tVERB\t_\t_\t1\tobj\t_\t_\n\n');
+});
+
+test('stats and convert write the document', function() {
+    var stats = JSON.parse(run(['stats', examplePath, examplePath]).stdout);
+    assert.strictEqual(stats.sentences, 4);
+
+    var json = JSON.parse(run(['convert', '--to', 'json',
+                               examplePath]).stdout);
+    assert.strictEqual(json.sentences[1].elements[0].FORM, 'Sue');
+
+    var brat = JSON.parse(run(['convert', '--to', 'brat',
+                               examplePath]).stdout);
+    assert.strictEqual(brat.entities.length, 11);
+
+    assert.strictEqual(run(['convert', '--to', 'conllu'], example).stdout,
+                       example);
+});
+
+test('usage errors exit with 2', function() {
+    var result = run(['convert', examplePath]);
+
+    assert.strictEqual(result.status, 2);
+    assert.match(result.stderr, /^conllu: convert requires --to/);
+    assert.strictEqual(run(['frob']).status, 2);
+    assert.strictEqual(run(['validate', '--level', '9']).status, 2);
+    assert.strictEqual(run(['--help']).status, 0);
+});
+
+test('unreadable input names the file', function() {
+    var result = run(['validate', __dirname]),
+        prefix = 'conllu: cannot read ' + __dirname + ': ';
+
+    assert.strictEqual(result.status, 2);
+    assert.strictEqual(result.stderr.substr(0, prefix.length), prefix);
+});
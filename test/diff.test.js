@@ -0,0 +1,52 @@
+// -*- Mode: JavaScript; tab-width: 4; indent-tabs-mode: nil; -*-
+// vim:set ft=javascript ts=4 sw=4 sts=4 cindent:
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var ConllU = require('../conllu.js');
+
+var example = fs.readFileSync(path.join(__dirname, 'data',
+                                        'example.conllu'), 'utf8');
+
+var parse = function(input) {
+    return new ConllU.Document().parse(input);
+};
+
+test('Sentence.diff reports fields and features', function() {
+    var document = parse(example),
+        other = parse(example.replace('Mood=Imp', 'Mood=Ind')
+                      .replace('\tPROPN\t', '\tNOUN\t'));
+
+    assert.deepStrictEqual(document.sentences[0].diff(other.sentences[0]), [{
+        sentenceId: 's1', elementId: '1', field: 'FEATS', feature: 'Mood',
+        value: 'Imp', otherValue: 'Ind'
+    }]);
+    assert.deepStrictEqual(document.sentences[1].diff(other.sentences[1]), [{
+        sentenceId: 's2', elementId: '1', field: 'UPOS', feature: null,
+        value: 'PROPN', otherValue: 'NOUN'
+    }]);
+    assert.deepStrictEqual(document.sentences[0].diff(
+        parse(example).sentences[0]), []);
+});
+
+test('Sentence.diff returns null when tokenization differs', function() {
+    var other = parse(example.replace('Vamos\t', 'Vam\t'));
+
+    assert.strictEqual(parse(example).sentences[0].diff(other.sentences[0]),
+                       null);
+});
+
+test('Document.diff pairs sentences by ID', function() {
+    var other = parse(example.replace('sent_id = s2', 'sent_id = s3')
+                      .replace('Vamos\t', 'Vam\t'));
+
+    assert.deepStrictEqual(parse(example).diff(other), {
+        differences: [],
+        unpaired: ['s2', 's3'],
+        tokenization: ['s1']
+    });
+});
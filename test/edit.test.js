@@ -0,0 +1,123 @@
+// -*- Mode: JavaScript; tab-width: 4; indent-tabs-mode: nil; -*-
+// vim:set ft=javascript ts=4 sw=4 sts=4 cindent:
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var ConllU = require('../conllu.js');
+
+var example = fs.readFileSync(path.join(__dirname, 'data',
+                                        'example.conllu'), 'utf8');
+
+var sentence = function(index) {
+    return new ConllU.Document().parse(example).sentences[index];
+};
+
+// Return the elements of the given sentence as "ID FORM HEAD DEPS"
+// strings.
+var rows = function(sentence) {
+    return sentence.elements.map(function(element) {
+        return [element.id, element.form, element.head,
+                element.deps].join(' ');
+    });
+};
+
+test('insertWord renumbers and rewrites references', function() {
+    var s2 = sentence(1);
+    var word = s2.insertWord('3', { form: 'really', upostag: 'ADV',
+                                    head: '4', deprel: 'advmod' });
+
+    assert.strictEqual(word.id, '4');
+    assert.deepStrictEqual(rows(s2), [
+        '1 Sue 2 2:nsubj|5:nsubj',
+        '2 wants 0 0:root',
+        '2.1 buys _ 2:conj',
+        '3 to 5 5:mark',
+        '4 really 5 5:advmod',
+        '5 buy 2 2:xcomp',
+        '6 . 2 2:punct'
+    ]);
+    assert.strictEqual(s2.insertWord('0', { form: 'So' }).id, '1');
+});
+
+test('insertWord refuses positions inside multiword tokens', function() {
+    assert.strictEqual(sentence(0).insertWord('1', { form: 'x' }), null);
+    assert.strictEqual(sentence(0).insertWord('2', { form: 'x' }).id, '3');
+});
+
+test('deleteWord reattaches dependents and shrinks tokens', function() {
+    var s2 = sentence(1);
+    assert.strictEqual(s2.deleteWord('2').form, 'wants');
+    assert.deepStrictEqual(rows(s2), [
+        '1 Sue 0 0:root|3:nsubj',
+        '1.1 buys _ 1:conj',
+        '2 to 3 3:mark',
+        '3 buy 1 1:xcomp',
+        '4 . 1 1:punct'
+    ]);
+
+    var s1 = sentence(0);
+    assert.strictEqual(s1.deleteWord('2').form, 'nos');
+    assert.deepStrictEqual(rows(s1).slice(0, 3), [
+        '1 Vamos 0 0:root',
+        '2-3 al _ _',
+        '2 a 4 4:case'
+    ]);
+});
+
+test('mergeWords joins words and dissolves their token', function() {
+    var s1 = sentence(0);
+    var merged = s1.mergeWords('3', '4');
+
+    assert.strictEqual(merged.form, 'al');
+    assert.deepStrictEqual(rows(s1).slice(3), [
+        '3 al 4 4:case',
+        '4 mar 1 1:obl:a',
+        '5 . 1 1:punct'
+    ]);
+    assert.strictEqual(s1.mergeWords('1', '3'), null);
+});
+
+test('splitWord keeps the sentence text', function() {
+    var s2 = sentence(1);
+    var second = s2.splitWord('4', 'bu', 'y');
+
+    assert.strictEqual(second.id, '5');
+    assert.deepStrictEqual(rows(s2).slice(4), [
+        '4 bu 2 2:xcomp',
+        '5 y 4 4:dep',
+        '6 . 2 2:punct'
+    ]);
+    assert.strictEqual(s2.elements[4].misc, 'SpaceAfter=No');
+    assert.strictEqual(s2.elements[5].misc, 'SpaceAfter=No');
+    assert.strictEqual(s2.text(), 'Sue wants to buy.');
+    assert.deepStrictEqual(s2.validate({ level: 2 }), []);
+});
+
+test('splitWord extends a multiword token ending in the word', function() {
+    var s1 = sentence(0);
+    s1.splitWord('2', 'n', 'os');
+
+    assert.deepStrictEqual(rows(s1).slice(0, 4), [
+        '1-3 Vámonos _ _',
+        '1 Vamos 0 0:root',
+        '2 n 1 1:obj',
+        '3 os 2 2:dep'
+    ]);
+    assert.strictEqual(s1.elements[3].misc, '_');
+    assert.strictEqual(s1.text(), 'Vámonos al mar.');
+});
+
+test('renumber assigns IDs by position', function() {
+    var s = new ConllU.Document().parse(
+        '1\ta\t_\tX\t_\t_\t0\troot\t_\t_\n' +
+        '3\tb\t_\tX\t_\t_\t1\tdep\t_\t_\n\n').sentences[0];
+
+    s.renumber();
+    assert.deepStrictEqual(s.elements.map(function(e) { return e.id; }),
+                           ['1', '2']);
+    assert.strictEqual(s.elements[1].head, '1');
+});
@@ -0,0 +1,66 @@
+// -*- Mode: JavaScript; tab-width: 4; indent-tabs-mode: nil; -*-
+// vim:set ft=javascript ts=4 sw=4 sts=4 cindent:
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var ConllU = require('../conllu.js');
+
+var example = fs.readFileSync(path.join(__dirname, 'data',
+                                        'example.conllu'), 'utf8');
+
+var parse = function(input) {
+    return new ConllU.Document().parse(input);
+};
+
+var element = function(deps) {
+    return new ConllU.Element(['1', 'a', '_', 'X', '_', '_', '0', 'root',
+                               deps, '_']);
+};
+
+test('isEnhanced and deriveDeps', function() {
+    var document = parse('1\ta\t_\tX\t_\t_\t0\troot\t_\t_\n' +
+                         '2\tb\t_\tX\t_\t_\t1\tdep\t_\t_\n\n');
+    var sentence = document.sentences[0];
+
+    assert.strictEqual(sentence.isEnhanced(), false);
+    assert.strictEqual(sentence.deriveDeps(), 2);
+    assert.strictEqual(sentence.isEnhanced(), true);
+    assert.deepStrictEqual(sentence.elements.map(function(e) {
+        return e.deps;
+    }), ['0:root', '1:dep']);
+    assert.strictEqual(parse(example).sentences[1].isEnhanced(), true);
+});
+
+test('enhancedDeps, addDep and removeDep edit DEPS', function() {
+    var sue = parse(example).sentences[1].elements[0];
+
+    assert.deepStrictEqual(sue.enhancedDeps(),
+                           [['2', 'nsubj'], ['4', 'nsubj']]);
+    assert.strictEqual(sue.addDep('2.1', 'nsubj'), true);
+    assert.strictEqual(sue.addDep('2.1', 'nsubj'), false);
+    assert.strictEqual(sue.deps, '2:nsubj|2.1:nsubj|4:nsubj');
+    assert.strictEqual(sue.removeDep('4'), true);
+    assert.strictEqual(sue.removeDep('2', 'obj'), false);
+    assert.strictEqual(sue.deps, '2:nsubj|2.1:nsubj');
+});
+
+test('DEPS order compares the parts of decimal IDs as integers',
+     function() {
+    var e = element('1.10:x|1.2:y|10:z|2:w');
+
+    assert.strictEqual(e.addDep('1.9', 'q'), true);
+    assert.strictEqual(e.deps, '1.2:y|1.9:q|1.10:x|2:w|10:z');
+});
+
+test('parse reports DEPS out of order', function() {
+    var document = parse('1\ta\t_\tX\t_\t_\t0\troot\t0:root\t_\n' +
+                         '2\tb\t_\tX\t_\t_\t1\tdep\t1:dep|0:x\t_\n\n');
+
+    assert.deepStrictEqual(document.issues.map(function(issue) {
+        return issue.message;
+    }), ['DEPS must be ordered by head index']);
+});
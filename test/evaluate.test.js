@@ -0,0 +1,66 @@
+// -*- Mode: JavaScript; tab-width: 4; indent-tabs-mode: nil; -*-
+// vim:set ft=javascript ts=4 sw=4 sts=4 cindent:
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var ConllU = require('../conllu.js');
+
+var example = fs.readFileSync(path.join(__dirname, 'data',
+                                        'example.conllu'), 'utf8');
+
+var parse = function(input) {
+    return new ConllU.Document().parse(input);
+};
+
+test('evaluate scores identical documents as perfect', function() {
+    var scores = ConllU.evaluate(parse(example), parse(example));
+
+    var metrics = ['Tokens', 'Sentences', 'Words', 'UPOS', 'XPOS', 'UFeats',
+                   'AllTags', 'Lemmas', 'UAS', 'LAS', 'CLAS', 'MLAS',
+                   'BLEX'];
+    for (var i=0; i<metrics.length; i++) {
+        assert.ok(scores[metrics[i]] instanceof ConllU.Score, metrics[i]);
+        assert.strictEqual(scores[metrics[i]].f1, 1, metrics[i]);
+    }
+    assert.strictEqual(scores.Words.goldTotal, 11);
+});
+
+test('evaluate counts relation errors', function() {
+    var system = example.replace('Number=Sing\t1\tobl', 'Number=Sing\t1\tobj');
+    var scores = ConllU.evaluate(parse(example), parse(system));
+
+    assert.strictEqual(scores.UAS.f1, 1);
+    assert.strictEqual(scores.LAS.correct, 10);
+    assert.strictEqual(scores.LAS.alignedAccuracy, 10 / 11);
+    assert.strictEqual(scores.CLAS.correct, 5);
+    assert.strictEqual(scores.CLAS.goldTotal, 6);
+    assert.deepStrictEqual(
+        [scores.byDeprel.obl.goldTotal, scores.byDeprel.obl.systemTotal,
+         scores.byDeprel.obl.correct], [1, 0, 0]);
+    assert.strictEqual(scores.byUpos.NOUN.f1, 1);
+});
+
+test('evaluate rejects documents with different text', function() {
+    var logged = [];
+    var system = example.replace('mar\tmar', 'mer\tmar');
+
+    assert.strictEqual(ConllU.evaluate(parse(example), parse(system),
+                                       function(m) { logged.push(m); }),
+                       null);
+    assert.strictEqual(logged.length, 1);
+    assert.match(logged[0], /^error: the concatenation of tokens/);
+});
+
+test('Score computes precision, recall and F1', function() {
+    var score = new ConllU.Score(4, 5, 3, 4);
+
+    assert.strictEqual(score.precision, 3 / 5);
+    assert.strictEqual(score.recall, 3 / 4);
+    assert.strictEqual(score.f1, 6 / 9);
+    assert.strictEqual(score.alignedAccuracy, 3 / 4);
+    assert.strictEqual(new ConllU.Score(0, 0, 0).f1, 0);
+});
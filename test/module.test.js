@@ -0,0 +1,32 @@
+// -*- Mode: JavaScript; tab-width: 4; indent-tabs-mode: nil; -*-
+// vim:set ft=javascript ts=4 sw=4 sts=4 cindent:
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+var ConllU = require('../conllu.js');
+
+test('the ES module exports the CommonJS API', function() {
+    return import('../conllu.mjs').then(function(module) {
+        var names = Object.keys(ConllU);
+        for (var i=0; i<names.length; i++) {
+            assert.strictEqual(module[names[i]], ConllU[names[i]], names[i]);
+        }
+        assert.strictEqual(module.default, ConllU);
+    });
+});
+
+test('a strict-mode bundle defines the global ConllU', function() {
+    var source = fs.readFileSync(path.join(__dirname, '..', 'conllu.js'),
+                                 'utf8'),
+        context = vm.createContext({});
+
+    vm.runInContext('(function() { "use strict";\n' + source +
+                    '\n}).call(undefined);', context);
+    assert.strictEqual(typeof vm.runInContext('ConllU.Document', context),
+                       'function');
+});
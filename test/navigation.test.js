@@ -0,0 +1,60 @@
+// -*- Mode: JavaScript; tab-width: 4; indent-tabs-mode: nil; -*-
+// vim:set ft=javascript ts=4 sw=4 sts=4 cindent:
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var ConllU = require('../conllu.js');
+
+var document = new ConllU.Document().parse(
+    fs.readFileSync(path.join(__dirname, 'data', 'example.conllu'), 'utf8'));
+
+var s1 = document.sentences[0],
+    s2 = document.sentences[1];
+
+var ids = function(elements) {
+    return elements.map(function(element) {
+        return element.id;
+    });
+};
+
+test('root, parent and children follow HEAD', function() {
+    assert.strictEqual(s1.root().id, '1');
+    assert.strictEqual(s1.parent('1'), null);
+    assert.strictEqual(s1.parent('3').id, '5');
+    assert.deepStrictEqual(ids(s1.children('1')), ['2', '5', '6']);
+    assert.deepStrictEqual(ids(s1.children(s1.elements[6])), ['3', '4']);
+    assert.deepStrictEqual(ids(s1.siblings('3')), ['4']);
+});
+
+test('ancestors, descendants, subtree and depth', function() {
+    assert.deepStrictEqual(ids(s1.ancestors('3')), ['5', '1']);
+    assert.deepStrictEqual(ids(s1.descendants('5')), ['3', '4']);
+    assert.deepStrictEqual(ids(s1.subtree('5')), ['3', '4', '5']);
+    assert.strictEqual(s1.depth('1'), 0);
+    assert.strictEqual(s1.depth('3'), 2);
+});
+
+test('edges, incoming and outgoing give [dependent, head, deprel]',
+     function() {
+    assert.deepStrictEqual(s1.edges().slice(0, 2),
+                           [['1', '0', 'root'], ['2', '1', 'obj']]);
+    assert.deepStrictEqual(s1.incoming('5'), [['5', '1', 'obl']]);
+    assert.deepStrictEqual(s1.outgoing('5'),
+                           [['3', '5', 'case'], ['4', '5', 'det']]);
+});
+
+test('enhanced navigation follows DEPS', function() {
+    assert.strictEqual(s2.root(true).id, '2');
+    assert.deepStrictEqual(ids(s2.parents('1', true)), ['2', '4']);
+    assert.deepStrictEqual(s2.incoming('1', true),
+                           [['1', '2', 'nsubj'], ['1', '4', 'nsubj']]);
+    assert.deepStrictEqual(ids(s2.children('2', true)),
+                           ['1', '2.1', '4', '5']);
+    assert.deepStrictEqual(ids(s2.descendants('2', true)),
+                           ['1', '2.1', '3', '4', '5']);
+    assert.strictEqual(s2.depth('2.1', true), 1);
+});
@@ -0,0 +1,150 @@
+// -*- Mode: JavaScript; tab-width: 4; indent-tabs-mode: nil; -*-
+// vim:set ft=javascript ts=4 sw=4 sts=4 cindent:
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var events = require('events');
+var fs = require('fs');
+var path = require('path');
+var ConllU = require('../conllu.js');
+
+var example = fs.readFileSync(path.join(__dirname, 'data',
+                                        'example.conllu'), 'utf8');
+
+var forms = function(sentence) {
+    return sentence.elements.map(function(element) {
+        return element.form;
+    });
+};
+
+test('parse reads sentences with sent_id as ID', function() {
+    var document = new ConllU.Document().parse(example);
+
+    assert.strictEqual(document.error, false);
+    assert.deepStrictEqual(document.sentences.map(function(sentence) {
+        return sentence.id;
+    }), ['s1', 's2']);
+    assert.strictEqual(document.sentences[0].metadata().text,
+                       'Vámonos al mar.');
+    assert.strictEqual(document.sentences[1].words(true).length, 6);
+});
+
+test('toConllU writes parsed input back unchanged', function() {
+    var document = new ConllU.Document().parse(example);
+
+    assert.strictEqual(document.toConllU(), example);
+});
+
+test('parse keeps CoNLL-U Plus columns at document level', function() {
+    var input = ('# global.columns = ID FORM UPOS HEAD DEPREL NER\n' +
+                 '# sent_id = x1\n' +
+                 '1\tHe\tPRON\t2\tnsubj\tO\n' +
+                 '2\tleft\tVERB\t0\troot\tO\n\n');
+    var document = new ConllU.Document().parse(input);
+
+    assert.deepStrictEqual(document.columns,
+                           ['ID', 'FORM', 'UPOS', 'HEAD', 'DEPREL', 'NER']);
+    assert.deepStrictEqual(document.sentences[0].comments,
+                           ['# sent_id = x1']);
+    assert.strictEqual(document.sentences[0].elements[1].getColumn('NER'),
+                       'O');
+    assert.strictEqual(document.toConllU(), input);
+});
+
+test('parse reports non-unique sent_id', function() {
+    var sentence = '# sent_id = a\n1\tx\t_\tX\t_\t_\t0\troot\t_\t_\n\n';
+    var document = new ConllU.Document().parse(sentence + sentence);
+
+    assert.deepStrictEqual(document.issues.map(function(issue) {
+        return issue.code;
+    }), ['non-unique-sent-id']);
+    assert.deepStrictEqual(document.sentences.map(function(sentence) {
+        return sentence.id;
+    }), ['a', 'S2']);
+});
+
+test('generated sentence IDs do not collide with sent_id', function() {
+    var word = '1\tx\t_\tX\t_\t_\t0\troot\t_\t_\n\n';
+    var document = new ConllU.Document().parse(
+        '# sent_id = S2\n' + word + word + word + '# sent_id = S3\n' + word);
+
+    assert.deepStrictEqual(document.sentences.map(function(sentence) {
+        return sentence.id;
+    }), ['S2', 'S2-1', 'S3', 'S4']);
+    assert.deepStrictEqual(document.issues.map(function(issue) {
+        return [issue.severity, issue.code, issue.sentenceId];
+    }), [['warning', 'non-unique-sent-id', 'S4']]);
+});
+
+test('Parser emits sentences across chunk boundaries', function() {
+    var sentences = [];
+    var parser = new ConllU.Parser({
+        onSentence: function(sentence) { sentences.push(sentence); }
+    });
+
+    for (var i=0; i<example.length; i+=7) {
+        parser.write(example.substr(i, 7).replace(/\n/g, '\r\n'));
+    }
+    parser.end();
+
+    assert.strictEqual(parser.error, false);
+    assert.deepStrictEqual(sentences.map(forms), [
+        ['Vámonos', 'Vamos', 'nos', 'al', 'a', 'el', 'mar', '.'],
+        ['Sue', 'wants', 'buys', 'to', 'buy', '.']
+    ]);
+});
+
+test('Parser completes a final sentence without a blank line', function() {
+    var parser = new ConllU.Parser({ strict: true });
+    var sentences = parser.write('1\tx\t_\tX\t_\t_\t0\troot\t_\t_');
+
+    assert.strictEqual(sentences.length, 0);
+    sentences = parser.end();
+    assert.strictEqual(sentences.length, 1);
+    assert.deepStrictEqual(parser.issues.map(function(issue) {
+        return issue.code;
+    }), ['missing-empty-line']);
+});
+
+test('parseStream decodes characters split across chunks', function() {
+    var bytes = Buffer.from(example, 'utf8'),
+        split = bytes.indexOf(Buffer.from('á', 'utf8')) + 1,
+        sentences = [];
+    var parser = new ConllU.Parser({
+        onSentence: function(sentence) { sentences.push(sentence); }
+    });
+
+    return parser.parseStream([bytes.slice(0, split),
+                               bytes.slice(split)]).then(function() {
+        assert.strictEqual(sentences.length, 2);
+        assert.strictEqual(sentences[0].elements[0].form, 'Vámonos');
+    });
+});
+
+test('parseStream flushes an incomplete character at end', function() {
+    var bytes = Buffer.from('1\tabé', 'utf8'),
+        sentences = [];
+    var parser = new ConllU.Parser({
+        onSentence: function(sentence) { sentences.push(sentence); }
+    });
+
+    return parser.parseStream([bytes.slice(0, bytes.length-1)]).then(
+        function() {
+            assert.strictEqual(sentences[0].elements[0].form, 'ab�');
+        });
+});
+
+test('parseStream rejects on errors at end of stream', function() {
+    var source = new events.EventEmitter();
+    var parser = new ConllU.Parser({
+        onSentence: function() { throw new Error('failed'); }
+    });
+
+    var parsed = parser.parseStream(source);
+    source.emit('data', '1\tx\t_\tX\t_\t_\t0\troot\t_\t_');
+    source.emit('end');
+
+    return assert.rejects(parsed, /^Error: failed$/);
+});
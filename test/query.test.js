@@ -0,0 +1,84 @@
+// -*- Mode: JavaScript; tab-width: 4; indent-tabs-mode: nil; -*-
+// vim:set ft=javascript ts=4 sw=4 sts=4 cindent:
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var ConllU = require('../conllu.js');
+
+var document = new ConllU.Document().parse(
+    fs.readFileSync(path.join(__dirname, 'data', 'example.conllu'), 'utf8'));
+
+// Return the matches of the given query in the example document as
+// strings giving the sentence ID and the forms of the matched nodes.
+var matches = function(query, includeEmpty) {
+    return new ConllU.Query().parse(query).search(document, includeEmpty).
+        map(function(match) {
+            var names = Object.keys(match.nodes).sort();
+            return match.sentence.id + ': ' + names.map(function(name) {
+                return name + '=' + match.nodes[name].form;
+            }).join(' ');
+        });
+};
+
+test('search matches node constraints and edges', function() {
+    assert.deepStrictEqual(
+        matches('pattern { V [upos=VERB]; V -[obl]-> N; N -[case]-> C }'),
+        ['s1: C=a N=mar V=Vamos']);
+    assert.deepStrictEqual(matches('pattern { N [Case=Acc] }'),
+                           ['s1: N=nos']);
+    assert.deepStrictEqual(matches('pattern { N [lemma=re"b.*"] }'),
+                           ['s2: N=buy']);
+});
+
+test('feature value lists match the whole value', function() {
+    assert.deepStrictEqual(matches('pattern { N [Case=Acc,Dat] }'),
+                           ['s1: N=nos']);
+    assert.deepStrictEqual(matches('pattern { N [Case=Acc,Nom] }'), []);
+    assert.deepStrictEqual(
+        matches('pattern { N [Case=Acc,Dat, Number=Plur, upos=PRON] }'),
+        ['s1: N=nos']);
+    assert.deepStrictEqual(matches('pattern { N [Case=Nom|Acc,Dat] }'),
+                           ['s1: N=nos']);
+});
+
+test('without clauses discard matches', function() {
+    assert.deepStrictEqual(
+        matches('pattern { V [upos=VERB]; V -[punct]-> P } ' +
+                'without { V -[nsubj]-> S }'),
+        ['s1: P=. V=Vamos']);
+});
+
+test('word order and enhanced edges', function() {
+    assert.deepStrictEqual(matches('pattern { A < B; A [upos=ADP] }'),
+                           ['s1: A=a B=el']);
+    assert.deepStrictEqual(matches('pattern { H =[nsubj]=> S }'),
+                           ['s2: H=wants S=Sue', 's2: H=buy S=Sue']);
+    assert.deepStrictEqual(matches('pattern { E [lemma=buy] }', true),
+                           ['s2: E=buys', 's2: E=buy']);
+});
+
+test('search module function matches Query.search', function() {
+    var query = 'pattern { N [upos=NOUN|PROPN] }';
+
+    assert.deepStrictEqual(
+        ConllU.search(document, query).map(function(match) {
+            return match.nodes.N.form;
+        }), ['mar', 'Sue']);
+});
+
+test('syntax errors are logged and match nothing', function() {
+    var logged = [];
+    var query = new ConllU.Query().parse('pattern { A [upos=', function(m) {
+        logged.push(m);
+    });
+
+    assert.strictEqual(query.error, true);
+    assert.deepStrictEqual(logged,
+                           ['error: query: unexpected end of query ' +
+                            'at offset 17']);
+    assert.deepStrictEqual(query.search(document), []);
+});
@@ -0,0 +1,53 @@
+// -*- Mode: JavaScript; tab-width: 4; indent-tabs-mode: nil; -*-
+// vim:set ft=javascript ts=4 sw=4 sts=4 cindent:
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var ConllU = require('../conllu.js');
+
+var document = new ConllU.Document().parse(
+    fs.readFileSync(path.join(__dirname, 'data', 'example.conllu'), 'utf8'));
+
+test('statistics counts units and labels', function() {
+    var stats = ConllU.statistics(document);
+
+    assert.strictEqual(stats.sentences, 2);
+    assert.strictEqual(stats.tokens, 9);
+    assert.strictEqual(stats.words, 11);
+    assert.strictEqual(stats.multiwords, 2);
+    assert.strictEqual(stats.emptyNodes, 1);
+    assert.strictEqual(stats.upos.VERB, 3);
+    assert.strictEqual(stats.deprels.punct, 2);
+    assert.deepStrictEqual([stats.featureValues['Case=Acc'],
+                            stats.featureValues['Case=Dat']], [1, 1]);
+    assert.deepStrictEqual(stats.lemmas, { types: 10, tokens: 11 });
+    assert.deepStrictEqual(stats.sentenceLengths, { 5: 1, 6: 1 });
+});
+
+test('statistics accumulate over documents and sentences', function() {
+    var stats = new ConllU.Statistics();
+
+    stats.addDocument(document);
+    stats.addSentence(document.sentences[0]);
+
+    assert.strictEqual(stats.result().sentences, 3);
+    assert.strictEqual(ConllU.statistics(document.sentences).words, 11);
+});
+
+test('statistics count non-projective arcs', function() {
+    var input = ('1\ta\t_\tX\t_\t_\t3\tdep\t_\t_\n' +
+                 '2\tb\t_\tX\t_\t_\t0\troot\t_\t_\n' +
+                 '3\tc\t_\tX\t_\t_\t2\tdep\t_\t_\n' +
+                 '4\td\t_\tX\t_\t_\t1\tdep\t_\t_\n\n');
+    var parsed = new ConllU.Document().parse(input),
+        stats = ConllU.statistics(parsed);
+
+    assert.deepStrictEqual(stats.nonProjective,
+                           { arcs: 3, nonProjectiveArcs: 2, rate: 2 / 3 });
+    assert.deepStrictEqual(parsed.sentences[0].nonProjective().map(
+        function(word) { return word.id; }), ['1', '4']);
+});
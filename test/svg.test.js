@@ -0,0 +1,67 @@
+// -*- Mode: JavaScript; tab-width: 4; indent-tabs-mode: nil; -*-
+// vim:set ft=javascript ts=4 sw=4 sts=4 cindent:
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var ConllU = require('../conllu.js');
+
+var document = new ConllU.Document().parse(
+    fs.readFileSync(path.join(__dirname, 'data', 'example.conllu'), 'utf8'));
+
+var sentence = function(input) {
+    return new ConllU.Document().parse(input).sentences[0];
+};
+
+// Return the x coordinates of the word forms in the given SVG.
+var formPositions = function(svg) {
+    var regex = new RegExp('<text x="([\\d.]+)" y="[\\d.]+" ' +
+                           'text-anchor="middle" fill="#000">', 'g'),
+        positions = [],
+        m;
+
+    while ((m = regex.exec(svg)) !== null) {
+        positions.push(parseFloat(m[1]));
+    }
+
+    return positions;
+};
+
+test('toSvg draws words and labeled arcs', function() {
+    var svg = document.sentences[0].toSvg();
+
+    assert.match(svg, /^<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg"/);
+    assert.match(svg, /<\/svg>$/);
+    assert.match(svg, />Vamos<\/text>/);
+    assert.match(svg, />obl<\/text>/);
+    assert.strictEqual(formPositions(svg).length, 6);
+});
+
+test('toSvg draws enhanced relations as dashed arcs', function() {
+    var svg = document.sentences[1].toSvg();
+
+    assert.match(svg, /stroke-dasharray/);
+    assert.match(svg, />buys<\/text>/);
+    assert.doesNotMatch(document.sentences[1].toSvg({ enhanced: false }),
+                        /stroke-dasharray/);
+});
+
+test('toSvg lays out trees and right-to-left text', function() {
+    var words = sentence('1\ta\t_\tX\t_\t_\t0\troot\t_\t_\n' +
+                         '2\tb\t_\tX\t_\t_\t1\tdep\t_\t_\n\n');
+
+    assert.match(words.toSvg({ layout: 'tree' }), /^<svg /);
+    var ltr = formPositions(words.toSvg()),
+        rtl = formPositions(words.toSvg({ rtl: true }));
+    assert.ok(ltr[0] < ltr[1]);
+    assert.ok(rtl[0] > rtl[1]);
+});
+
+test('toSvg escapes markup in text', function() {
+    var svg = sentence('1\t<&>\t_\tX\t_\t_\t0\troot\t_\t_\n\n').toSvg();
+
+    assert.match(svg, />&lt;&amp;&gt;<\/text>/);
+});
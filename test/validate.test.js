@@ -0,0 +1,173 @@
+// -*- Mode: JavaScript; tab-width: 4; indent-tabs-mode: nil; -*-
+// vim:set ft=javascript ts=4 sw=4 sts=4 cindent:
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var ConllU = require('../conllu.js');
+
+// Return CoNLL-U for a sentence with the given words, each a list of
+// ID, FORM, UPOS, HEAD and DEPREL.
+var conllu = function(words, comments) {
+    var lines = (comments !== undefined ? comments.slice() : []);
+
+    for (var i=0; i<words.length; i++) {
+        var w = words[i];
+        lines.push([w[0], w[1], '_', w[2], '_', '_', w[3], w[4], '_',
+                    '_'].join('\t'));
+    }
+
+    return lines.join('\n') + '\n\n';
+};
+
+var codes = function(issues) {
+    return issues.map(function(issue) {
+        return issue.code;
+    });
+};
+
+test('validate reports cycles and a missing root', function() {
+    var document = new ConllU.Document().parse(conllu([
+        ['1', 'a', 'NOUN', '2', 'nsubj'],
+        ['2', 'b', 'VERB', '1', 'obj']
+    ]));
+
+    assert.deepStrictEqual(codes(document.validate()),
+                           ['head-cycle', 'missing-root']);
+});
+
+test('repair makes a document with a cycle valid', function() {
+    var document = new ConllU.Document().parse(conllu([
+        ['1', 'a', 'NOUN', '2', 'nsubj'],
+        ['2', 'b', 'VERB', '1', 'obj']
+    ]));
+
+    assert.strictEqual(document.repair(), true);
+    assert.deepStrictEqual(document.validate(), []);
+});
+
+test('repair renumbers words and rewrites references', function() {
+    var document = new ConllU.Document().parse(conllu([
+        ['1', 'a', 'X', '4', 'dep'],
+        ['4', 'c', 'X', '0', 'root'],
+        ['3', 'd', 'X', '4', 'dep']
+    ]));
+
+    assert.notDeepStrictEqual(document.validate(), []);
+    assert.strictEqual(document.repair(), true);
+    assert.deepStrictEqual(document.sentences[0].elements.map(function(e) {
+        return e.id + ' ' + e.form + ' ' + e.head;
+    }), ['1 a 2', '2 c 0', '3 d 2']);
+});
+
+test('validate checks functional leaves at level 3', function() {
+    var input = conllu([
+        ['1', 'in', 'ADP', '3', 'case'],
+        ['2', 'x', 'NOUN', '1', 'nmod'],
+        ['3', 'house', 'NOUN', '0', 'root']
+    ]);
+    var document = new ConllU.Document().parse(input);
+
+    assert.deepStrictEqual(document.validate({ level: 2 }), []);
+    assert.deepStrictEqual(codes(document.validate({ level: 3 })),
+                           ['leaf-mark-case']);
+});
+
+test('text not matching the forms is a warning', function() {
+    var document = new ConllU.Document().parse(conllu([
+        ['1', 'a', 'NOUN', '0', 'root'],
+        ['2', 'b', 'NOUN', '1', 'nmod']
+    ], ['# text = a c']), undefined, undefined, { level: 2 });
+
+    var issues = document.validate();
+    assert.deepStrictEqual(codes(issues), ['text-form-mismatch']);
+    assert.strictEqual(issues[0].isError(), false);
+    assert.strictEqual(document.error, false);
+});
+
+test('labels are checked against registered languages', function() {
+    var input = ('1\ta\t_\tNOUN\t_\tFoo=Bar\t0\troot\t_\t_\n\n'),
+        options = { level: 4, language: 'test-xx' };
+
+    var document = new ConllU.Document().parse(input, undefined, undefined,
+                                               options);
+    assert.deepStrictEqual(codes(document.issues), ['feature-unknown']);
+
+    ConllU.registerLanguage('test-xx', { features: { Foo: ['Bar'] } });
+    document = new ConllU.Document().parse(input, undefined, undefined,
+                                           options);
+    assert.deepStrictEqual(document.issues, []);
+});
+
+test('the universal inventory cannot be modified', function() {
+    assert.throws(function() {
+        ConllU.universalInventory.upos.push('FOO');
+    }, TypeError);
+    assert.strictEqual(Object.isFrozen(ConllU.universalInventory.features),
+                       true);
+});
+
+test('registered validators report and repair issues', function() {
+    ConllU.registerValidator('test-no-dep', {
+        scope: 'sentence',
+        check: function(sentence, report) {
+            sentence.words().forEach(function(word) {
+                if (word.deprel === 'dep') {
+                    report('"dep" not allowed', word, 'DEPREL');
+                }
+            });
+        },
+        repair: function(sentence, log) {
+            sentence.words().forEach(function(word) {
+                if (word.deprel === 'dep') {
+                    word.deprel = 'obl';
+                }
+            });
+        }
+    });
+
+    try {
+        var document = new ConllU.Document().parse(conllu([
+            ['1', 'a', 'VERB', '0', 'root'],
+            ['2', 'b', 'NOUN', '1', 'dep']
+        ]));
+        var issues = document.validate();
+        assert.deepStrictEqual(codes(issues), ['test-no-dep']);
+        assert.strictEqual(issues[0].elementId, '2');
+        assert.strictEqual(document.repair(), true);
+        assert.strictEqual(document.sentences[0].elements[1].deprel, 'obl');
+    } finally {
+        assert.strictEqual(ConllU.unregisterValidator('test-no-dep'), true);
+    }
+});
+
+test('repair normalizes characters only with a level', function() {
+    var input = '1\tcafe\u0301\t_\tNOUN\t_\t_\t0\troot\t_\t_\n\n';
+
+    var document = new ConllU.Document().parse(input);
+    document.repair();
+    assert.strictEqual(document.sentences[0].elements[0].form,
+                       'cafe\u0301');
+
+    document = new ConllU.Document().parse(input, undefined, undefined,
+                                           { level: 2 });
+    document.repair();
+    assert.strictEqual(document.sentences[0].elements[0].form,
+                       'caf\u00e9');
+});
+
+test('setFeature keeps FEATS canonical and unparsed entries', function() {
+    var element = new ConllU.Element(['1', 'a', 'a', 'NOUN', '_',
+                                      'Number=Sing|foo|Case=Nom', '0',
+                                      'root', '_', '_']);
+
+    assert.strictEqual(element.setFeature('Definite', 'Def'), true);
+    assert.strictEqual(element.feats,
+                       'Case=Nom|Definite=Def|foo|Number=Sing');
+    assert.strictEqual(element.setFeature('Case', ['Nom', 'Acc']), true);
+    assert.strictEqual(element.getFeature('Case'), 'Acc,Nom');
+    assert.strictEqual(element.deleteFeature('Number'), true);
+    assert.strictEqual(element.feats, 'Case=Acc,Nom|Definite=Def|foo');
+    assert.strictEqual(element.setFeature('case', 'Nom'), false);
+});